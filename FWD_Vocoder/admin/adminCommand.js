@@ -0,0 +1,154 @@
+/**
+ * adminCommand.js
+ *
+ * /vocoder-admin command group: per-server channel and role restrictions,
+ * input duration and daily quota, and usage stats. Server managers only.
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits, ChannelType, InteractionContextType } from "discord.js"; // Discord.js v14
+import { getGuildConfig, updateGuildConfig, maxInputSeconds, MAX_LIST_ENTRIES } from "./guildConfig.js"; // Guild settings
+import { getUsageStats } from "./usageStats.js";                 // Usage totals
+import { getInputLimits } from "../media/mediaInput.js";        // Global input limits
+
+const ACTION_CHOICES = [
+  { name: "Allow", value: "add" },
+  { name: "Remove", value: "remove" },
+  { name: "Clear (allow all)", value: "clear" }
+];
+
+export const adminCommand = new SlashCommandBuilder()
+  .setName("vocoder-admin")
+  .setDescription("Configure the vocoder for this server")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild) // Hidden from other members
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand((sub) =>
+    sub.setName("show")
+      .setDescription("Show this server's vocoder settings")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("channel")
+      .setDescription("Limit /vocode to some channels")
+      .addStringOption((o) => o.setName("action").setDescription("What to do").addChoices(...ACTION_CHOICES).setRequired(true))
+      .addChannelOption((o) =>
+        o.setName("channel").setDescription("Channel to allow or remove").addChannelTypes(ChannelType.GuildText, ChannelType.GuildVoice).setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("role")
+      .setDescription("Limit /vocode to members with some roles")
+      .addStringOption((o) => o.setName("action").setDescription("What to do").addChoices(...ACTION_CHOICES).setRequired(true))
+      .addRoleOption((o) => o.setName("role").setDescription("Role to allow or remove").setRequired(false))
+  )
+  .addSubcommand((sub) =>
+    sub.setName("limits")
+      .setDescription("Set the max input duration and per-user daily quota")
+      .addIntegerOption((o) =>
+        o.setName("max_seconds").setDescription("Longest accepted input in seconds. 0 = bot default").setMinValue(0).setRequired(false)
+      )
+      .addIntegerOption((o) =>
+        o.setName("daily_quota").setDescription("Jobs per member per day (UTC). 0 = unlimited").setMinValue(0).setMaxValue(1000).setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("stats")
+      .setDescription("Show jobs run, render times, failures and rejected requests on this server")
+  );
+
+// COMMAND HANDLER
+export async function handleAdminCommand(interaction) {
+  try {
+    if (!interaction.guildId) throw new Error("/vocoder-admin can only be used inside a server.");
+    if (!canManage(interaction)) throw new Error("You need the Manage Server permission.");
+
+    const sub = interaction.options.getSubcommand();
+    const handler = { show: handleShow, channel: handleChannel, role: handleRole, limits: handleLimits, stats: handleStats }[sub];
+    await handler(interaction);
+  } catch (err) {                                           // User-facing errors
+    await interaction.reply({ content: `❌ Error: ${err.message}`, ephemeral: true });
+  }
+}
+
+// SUBCOMMANDS
+async function handleShow(interaction) {
+  const config = await getGuildConfig(interaction.guildId);
+  await interaction.reply({ content: `⚙️ **Vocoder settings**\n${describeConfig(config)}`, ephemeral: true });
+}
+
+async function handleChannel(interaction) {
+  const channel = interaction.options.getChannel("channel");
+  await updateList(interaction, "allowedChannels", channel?.id, `<#${channel?.id}>`);
+}
+
+async function handleRole(interaction) {
+  const role = interaction.options.getRole("role");
+  await updateList(interaction, "allowedRoles", role?.id, `<@&${role?.id}>`);
+}
+
+async function handleLimits(interaction) {
+  const maxSeconds = interaction.options.getInteger("max_seconds");
+  const quota = interaction.options.getInteger("daily_quota");
+  if (maxSeconds === null && quota === null) throw new Error("Set max_seconds, daily_quota or both.");
+
+  const config = await updateGuildConfig(interaction.guildId, (c) => {
+    if (maxSeconds !== null) c.maxInputSeconds = maxSeconds || null;  // 0 = bot default
+    if (quota !== null) c.dailyQuota = quota || null;       // 0 = unlimited
+  });
+  await interaction.reply({ content: `✅ Limits updated.\n${describeConfig(config)}`, ephemeral: true });
+}
+
+async function handleStats(interaction) {
+  const stats = await getUsageStats(interaction.guildId);
+  const byCode = (counts) => {
+    const lines = Object.entries(counts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([code, count]) => `• \`${code}\`: ${count}`);
+    return lines.length ? lines.join("\n") : "• none";
+  };
+
+  await interaction.reply({
+    content: [
+      "📈 **Vocoder usage on this server**",
+      `Jobs: ${stats.jobs} (${stats.succeeded} succeeded, ${stats.failed} failed, ${stats.cancelled} cancelled)`,
+      `Average render time: ${stats.averageRenderMs === null ? "-" : `${(stats.averageRenderMs / 1000).toFixed(1)} s`}`,
+      `**Failures by error type**\n${byCode(stats.failures)}`,
+      `**Rejected before queueing** (${stats.rejected})\n${byCode(stats.rejections)}`
+    ].join("\n"),
+    ephemeral: true
+  });
+}
+
+// HELPER FUNCTIONS
+// Adds to, removes from or clears an allowed channel/role list
+async function updateList(interaction, key, id, mention) {
+  const action = interaction.options.getString("action");
+  if (action !== "clear" && !id) throw new Error(`Pick the ${key === "allowedChannels" ? "channel" : "role"} to ${action === "add" ? "allow" : "remove"}.`);
+
+  const config = await updateGuildConfig(interaction.guildId, (c) => {
+    const list = c[key];
+    if (action === "clear") c[key] = [];
+    else if (action === "remove") c[key] = list.filter((entry) => entry !== id);
+    else if (!list.includes(id)) {
+      if (list.length >= MAX_LIST_ENTRIES) throw new Error(`At most ${MAX_LIST_ENTRIES} entries can be allowed.`);
+      list.push(id);
+    }
+  });
+
+  const done = { add: `Allowed ${mention}.`, remove: `Removed ${mention}.`, clear: "Cleared the list." }[action];
+  await interaction.reply({ content: `✅ ${done}\n${describeConfig(config)}`, ephemeral: true });
+}
+
+function describeConfig(config) {
+  const list = (ids, format, all) => (ids.length ? ids.map(format).join(", ") : all);
+  const defaultSeconds = getInputLimits().maxSeconds;
+  return [
+    `📺 Channels: ${list(config.allowedChannels, (id) => `<#${id}>`, "all")}`,
+    `👥 Roles: ${list(config.allowedRoles, (id) => `<@&${id}>`, "everyone")}`,
+    `⏱️ Max input: ${maxInputSeconds(config)} s${config.maxInputSeconds ? "" : " (bot default)"}` +
+      (config.maxInputSeconds > defaultSeconds ? ` - capped by the bot's ${defaultSeconds} s limit` : ""),
+    `🎟️ Daily quota: ${config.dailyQuota ? `${config.dailyQuota} jobs per member` : "unlimited"}`
+  ].join("\n");
+}
+
+function canManage(interaction) {
+  return interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) ?? false;
+}
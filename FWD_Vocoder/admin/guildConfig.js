@@ -0,0 +1,84 @@
+/**
+ * guildConfig.js
+ *
+ * Per-guild /vocode settings, set with /vocoder-admin and saved in data/guild-config.json:
+ * allowed channels and roles (empty = everywhere / everyone), max input duration and daily quota.
+ */
+
+import { createJsonStore } from "../storage/jsonStore.js";      // JSON persistence
+import { getInputLimits } from "../media/mediaInput.js";        // Global input limits
+
+const store = createJsonStore("guild-config.json", { guilds: {} });
+
+export const MAX_LIST_ENTRIES = 25;                              // Per allowed channel/role list
+
+const DEFAULT_CONFIG = {
+  allowedChannels: [],
+  allowedRoles: [],
+  maxInputSeconds: null,                                    // null = MAX_INPUT_SECONDS
+  dailyQuota: null                                          // null = unlimited
+};
+
+/**
+ * A guild's settings, with defaults for anything unset (also for DMs, where guildId is null).
+ */
+export async function getGuildConfig(guildId) {
+  const data = await store.read();
+  return withDefaults(guildId ? data.guilds[guildId] : null);
+}
+
+/**
+ * Runs `mutate(config)` on a guild's settings and saves them; returns the new settings.
+ */
+export function updateGuildConfig(guildId, mutate) {
+  return store.update(async (data) => {
+    const config = withDefaults(data.guilds[guildId]);
+    await mutate(config);
+    data.guilds[guildId] = config;
+    return config;
+  });
+}
+
+/**
+ * Rejects a request from a channel or member the guild has not allowed.
+ * Throws an Error with a user-facing message and a `code`.
+ */
+export function checkAccess(request, config) {
+  const { allowedChannels, allowedRoles } = config;
+  if (allowedChannels.length && !allowedChannels.includes(request.channelId)) {
+    throw accessError(
+      `/vocode is not enabled in this channel. Use it in ${allowedChannels.map((id) => `<#${id}>`).join(", ")}.`,
+      "ACCESS_CHANNEL"
+    );
+  }
+  const roles = request.roles ?? [];
+  if (allowedRoles.length && !allowedRoles.some((id) => id === request.guildId || roles.includes(id))) { // guildId = @everyone
+    throw accessError("You don't have a role that is allowed to use /vocode on this server.", "ACCESS_ROLE");
+  }
+}
+
+/**
+ * Max input duration in seconds: the guild's limit, never above MAX_INPUT_SECONDS.
+ */
+export function maxInputSeconds(config) {
+  const { maxSeconds } = getInputLimits();
+  return config.maxInputSeconds ? Math.min(config.maxInputSeconds, maxSeconds) : maxSeconds;
+}
+
+/**
+ * Role IDs of the member behind an interaction (empty outside guilds), as stored in requests.
+ */
+export function memberRoleIds(interaction) {
+  const roles = interaction.member?.roles;
+  if (!roles) return [];
+  return Array.isArray(roles) ? roles : [...roles.cache.keys()]; // Raw API member or cached GuildMember
+}
+
+// HELPER FUNCTIONS
+function withDefaults(config) {
+  return { ...structuredClone(DEFAULT_CONFIG), ...config };
+}
+
+function accessError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
@@ -0,0 +1,108 @@
+/**
+ * usageStats.js
+ *
+ * Per-guild usage, saved in data/usage.json: job totals, render time, failures and
+ * rejected requests by error code, and today's (UTC) job count per user for the daily quota.
+ */
+
+import { createJsonStore } from "../storage/jsonStore.js";      // JSON persistence
+
+const store = createJsonStore("usage.json", { guilds: {} });
+
+const OUTCOMES = ["succeeded", "failed", "cancelled", "rejected"];
+
+/**
+ * Records a finished job or a rejected request. `outcome` is one of OUTCOMES, `renderMs`
+ * the render time of a successful job and `code` the error code of a failure or rejection.
+ * Rejected requests were never queued and are counted apart from jobs.
+ */
+export function recordJob({ guildId, userId, outcome, renderMs = null, code = null }) {
+  if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown job outcome "${outcome}".`);
+  return store.update((data) => {
+    const entry = guildEntry(data, guildId);
+    entry[outcome]++;
+    if (outcome === "rejected") {
+      entry.rejections[code ?? "ERROR"] = (entry.rejections[code ?? "ERROR"] ?? 0) + 1;
+      return;
+    }
+    entry.jobs++;
+    if (outcome === "succeeded") entry.renderMs += renderMs ?? 0;
+    if (outcome === "failed") entry.failures[code ?? "ERROR"] = (entry.failures[code ?? "ERROR"] ?? 0) + 1;
+  });
+}
+
+/**
+ * Counts a job towards the user's daily quota (UTC) before it is queued, or throws a
+ * DAILY_QUOTA error when `quota` (null = unlimited) is used up. Check and count are one
+ * store update, so simultaneous requests can't both take the last job.
+ * Every queued job keeps its count, whatever its outcome; see releaseDailyJob.
+ */
+export function reserveDailyJob({ guildId, userId, quota = null }) {
+  return store.update((data) => {
+    const { daily } = guildEntry(data, guildId);
+    const used = daily.users[userId] ?? 0;
+    if (quota && used >= quota) {
+      throw Object.assign(
+        new Error(`You have used all ${quota} of today's /vocode jobs on this server. The quota resets at 00:00 UTC.`),
+        { code: "DAILY_QUOTA" }
+      );
+    }
+    daily.users[userId] = used + 1;
+  });
+}
+
+/**
+ * Gives back a reserved job that could not be queued after all.
+ */
+export function releaseDailyJob({ guildId, userId }) {
+  return store.update((data) => {
+    const { daily } = guildEntry(data, guildId);
+    if (daily.users[userId] > 0) daily.users[userId]--;     // Reserved before midnight: nothing to give back
+  });
+}
+
+/**
+ * A guild's totals: { jobs, succeeded, failed, cancelled, rejected, averageRenderMs,
+ * failures: { code: count }, rejections: { code: count } }.
+ * averageRenderMs covers successful jobs (null before the first one).
+ */
+export async function getUsageStats(guildId) {
+  const { jobs, succeeded, failed, cancelled, rejected, renderMs, failures, rejections } =
+    { ...emptyEntry(), ...(await store.read()).guilds[guildId] };
+  return {
+    jobs,
+    succeeded,
+    failed,
+    cancelled,
+    rejected,
+    averageRenderMs: succeeded ? Math.round(renderMs / succeeded) : null,
+    failures,
+    rejections
+  };
+}
+
+// HELPER FUNCTIONS
+// A guild's entry, created or completed (files from older versions lack some counters) and rolled over to today
+function guildEntry(data, guildId) {
+  const entry = (data.guilds[guildId] = { ...emptyEntry(), ...data.guilds[guildId] });
+  if (entry.daily.date !== today()) entry.daily = { date: today(), users: {} }; // New day
+  return entry;
+}
+
+function emptyEntry() {
+  return {
+    jobs: 0,                                                // Queued jobs, whatever their outcome
+    succeeded: 0,
+    failed: 0,
+    cancelled: 0,
+    rejected: 0,                                            // Requests refused before queueing
+    renderMs: 0,                                            // Total over successful jobs
+    failures: {},
+    rejections: {},
+    daily: { date: today(), users: {} }
+  };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);             // YYYY-MM-DD, UTC
+}
@@ -0,0 +1,21 @@
+/**
+ * cancel.js
+ *
+ * /cancel and the Cancel button on job replies.
+ */
+
+import { SlashCommandBuilder } from "discord.js";                // Discord.js v14
+import { handleCancelCommand, handleCancelButton, CANCEL_BUTTON_ID } from "../jobs/vocodeQueue.js"; // Job queue
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("cancel")
+    .setDescription("Cancel your queued or running vocoder jobs"),
+
+  execute: handleCancelCommand,
+
+  // Message components handled by this command, keyed by custom ID prefix ("<prefix>:<data>")
+  components: {
+    [CANCEL_BUTTON_ID]: handleCancelButton
+  }
+};
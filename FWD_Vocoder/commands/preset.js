@@ -0,0 +1,13 @@
+/**
+ * preset.js
+ *
+ * /preset: save, load, list, delete and share vocoder presets (see presets/presetCommand.js).
+ */
+
+import { presetCommand, handlePresetCommand, handlePresetAutocomplete } from "../presets/presetCommand.js";
+
+export default {
+  data: presetCommand,
+  execute: handlePresetCommand,                             // Replies are ephemeral, no deferral
+  autocomplete: handlePresetAutocomplete                    // Preset names
+};
@@ -0,0 +1,58 @@
+/**
+ * vocode.js
+ *
+ * /vocode: vocode a modulator with an uploaded or built-in carrier.
+ * The work runs in the job queue; progress and the result go to the deferred reply.
+ */
+
+import { SlashCommandBuilder } from "discord.js";                // Discord.js v14
+import { addParamOptions } from "../vocoder/params.js";         // Shared parameters
+import { handlePresetAutocomplete } from "../presets/presetCommand.js"; // preset: suggestions
+import { buildVocodeRequest } from "../jobs/vocodeJob.js";      // /vocode pipeline
+import { submitVocode, interactionResponder } from "../jobs/vocodeQueue.js"; // Job queue
+import { buildRerenderRequest, RERENDER_BUTTON_ID } from "../jobs/rerender.js"; // Result buttons
+
+export default {
+  data: addParamOptions(new SlashCommandBuilder()
+    .setName("vocode")
+    .setDescription("Apply robot vocoder (Supports video and audio attachments)")
+    .addAttachmentOption((o) =>
+      o.setName("modulator").setDescription("Voice (Video or Audio accepted)").setRequired(true)
+    )
+    .addAttachmentOption((o) =>
+      o.setName("carrier").setDescription("Synth/Noise (Video or Audio). Omit to use a built-in carrier").setRequired(false)
+    ), { advanced: false })                                 // Shared vocoder parameters (advanced ones via presets)
+    .addBooleanOption((o) =>
+      o.setName("video")
+       .setDescription("Return an MP4 with the vocoded audio on the original video (video modulators only)")
+       .setRequired(false)
+    )
+    .addStringOption((o) =>
+      o.setName("preset")
+       .setDescription("Saved or built-in preset. Options given here override its values")
+       .setAutocomplete(true)
+       .setRequired(false)
+    ),
+
+  async execute(interaction) {
+    await interaction.deferReply();                         // Acknowledge command
+
+    // Validate, queue and run; progress and the result go to the deferred reply
+    await submitVocode(buildVocodeRequest(interaction), interactionResponder(interaction));
+  },
+
+  autocomplete: handlePresetAutocomplete,                   // preset: option
+
+  // "Width -10/+10" and "Swap modulator/carrier" on results: a new reply from the cached inputs
+  components: {
+    async [RERENDER_BUTTON_ID](interaction) {
+      const request = buildRerenderRequest(interaction);
+      if (!request) {
+        await interaction.reply({ content: "⌛ These files are no longer cached. Run /vocode again.", ephemeral: true });
+        return;
+      }
+      await interaction.deferReply();
+      await submitVocode(request, interactionResponder(interaction));
+    }
+  }
+};
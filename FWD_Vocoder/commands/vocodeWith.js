@@ -0,0 +1,179 @@
+/**
+ * vocodeWith.js
+ *
+ * "Vocode with…" message context menu: uses the clicked message's audio/video attachment
+ * (or voice message) as the modulator, so nothing has to be uploaded again.
+ * A select menu picks the carrier from recent channel attachments or a built-in carrier,
+ * then a modal asks for the width and the job is queued like /vocode.
+ */
+
+import {
+  ActionRowBuilder,
+  ApplicationCommandType,
+  ContextMenuCommandBuilder,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} from "discord.js";                                             // Discord.js v14
+import { CARRIER_PRESETS } from "../vocoder/carrierSynth.js";   // Built-in carriers
+import { attachmentInfo } from "../jobs/vocodeJob.js";          // Request attachments
+import { submitVocode, interactionResponder } from "../jobs/vocodeQueue.js"; // Job queue
+import { DEFAULT_UPLOAD_LIMIT, formatBytes } from "../media/outputEncoder.js"; // Upload limit
+import { memberRoleIds } from "../admin/guildConfig.js";      // Guild rules
+
+const SELECT_ID = "vocode-with";                                 // Carrier select menu ("vocode-with:<session>")
+const MODAL_ID = "vocode-with-modal";                            // Width modal ("vocode-with-modal:<session>:<choice>")
+const SESSION_TTL = 15 * 60 * 1000;                              // Interaction tokens expire after 15 minutes
+const HISTORY_LIMIT = 50;                                        // Messages searched for carriers
+const MAX_FILE_CHOICES = 25 - CARRIER_PRESETS.length;            // Select menus hold 25 options
+
+const sessions = new Map();                                      // session id -> { modulator, carriers, ... }
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName("Vocode with…")
+    .setType(ApplicationCommandType.Message),
+
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+    const modulator = message.attachments.find(isMedia);
+    if (!modulator) {
+      await interaction.reply({ content: "❌ That message has no audio, video or voice message attachment.", ephemeral: true });
+      return;
+    }
+
+    const carriers = await findRecentMedia(interaction.channel, message.id);
+    const sessionId = interaction.id;
+    sessions.set(sessionId, {
+      userId: interaction.user.id,
+      modulator: attachmentInfo(modulator),
+      carriers: carriers.map(attachmentInfo),
+      maxBytes: interaction.attachmentSizeLimit ?? DEFAULT_UPLOAD_LIMIT
+    });
+    setTimeout(() => sessions.delete(sessionId), SESSION_TTL).unref(); // Forget abandoned pickers
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(`${SELECT_ID}:${sessionId}`)
+      .setPlaceholder("Choose a carrier")
+      .addOptions(
+        ...CARRIER_PRESETS.map((preset) => ({
+          label: `Built-in: ${preset}`, value: `preset:${preset}`, emoji: "🎹"
+        })),
+        ...carriers.map((file, i) => ({
+          label: truncate(file.name, 100),
+          description: truncate(`Recent upload · ${formatBytes(file.size)}`, 100),
+          value: `file:${i}`,
+          emoji: "📎"
+        }))
+      );
+
+    await interaction.reply({
+      content: `🎙️ Modulator: **${isVoiceMessage(message) ? "voice message" : modulator.name}**\nPick a carrier:`,
+      components: [new ActionRowBuilder().addComponents(menu)],
+      ephemeral: true
+    });
+  },
+
+  components: {
+    [SELECT_ID]: handleCarrierSelect,
+    [MODAL_ID]: handleWidthModal
+  }
+};
+
+// CARRIER PICKED: ASK FOR THE WIDTH
+async function handleCarrierSelect(interaction) {
+  const sessionId = interaction.customId.slice(SELECT_ID.length + 1);
+  if (!(await getSession(interaction, sessionId))) return;
+
+  const choice = interaction.values[0];                     // "preset:<name>" or "file:<index>"
+  const modal = new ModalBuilder()
+    .setCustomId(`${MODAL_ID}:${sessionId}:${choice}`)
+    .setTitle("Vocode with…")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("width")
+          .setLabel("Width (0-100)")
+          .setPlaceholder("50")
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(3)
+          .setRequired(false)
+      )
+    );
+  await interaction.showModal(modal);
+}
+
+// WIDTH SUBMITTED: QUEUE THE JOB
+async function handleWidthModal(interaction) {
+  const [sessionId, kind, value] = interaction.customId.slice(MODAL_ID.length + 1).split(":");
+  const session = await getSession(interaction, sessionId);
+  if (!session) return;
+
+  const widthText = interaction.fields.getTextInputValue("width").trim();
+  const width = widthText === "" ? undefined : Number(widthText);
+  if (width !== undefined && !Number.isInteger(width)) {
+    await interaction.reply({ content: "❌ Width must be a whole number between 0 and 100.", ephemeral: true });
+    return;
+  }
+
+  const carrier = kind === "file" ? session.carriers[Number(value)] ?? null : null;
+  const params = {};                                        // Same shape as /vocode options
+  if (width !== undefined) params.width = width;
+  if (kind === "preset") params.carrier_preset = value;
+  else if (!carrier) {
+    await interaction.reply({ content: "❌ That carrier is no longer available. Run Vocode with… again.", ephemeral: true });
+    return;
+  }
+
+  sessions.delete(sessionId);                               // One job per picker
+  await interaction.deferReply();                           // Public reply, like /vocode
+
+  const request = {
+    userId: interaction.user.id,
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    roles: memberRoleIds(interaction),                      // For the guild's allowed roles
+    modulator: session.modulator,
+    carrier,
+    params,
+    presetName: null,
+    video: false,
+    maxBytes: session.maxBytes
+  };
+  await submitVocode(request, interactionResponder(interaction));
+}
+
+// HELPER FUNCTIONS
+async function getSession(interaction, sessionId) {
+  const session = sessions.get(sessionId);
+  if (session && session.userId === interaction.user.id) return session;
+  await interaction.reply({ content: "❌ This picker has expired. Run Vocode with… again.", ephemeral: true });
+  return null;
+}
+
+// Audio/video attachments of recent messages, newest first (the modulator's message excluded)
+async function findRecentMedia(channel, excludeMessageId) {
+  try {
+    const messages = await channel.messages.fetch({ limit: HISTORY_LIMIT });
+    return [...messages.values()]
+      .filter((m) => m.id !== excludeMessageId)
+      .flatMap((m) => [...m.attachments.values()].filter(isMedia))
+      .slice(0, MAX_FILE_CHOICES);
+  } catch {
+    return [];                                              // No history access: built-in carriers only
+  }
+}
+
+function isMedia(attachment) {
+  const type = attachment.contentType ?? "";
+  return type.startsWith("audio/") || type.startsWith("video/"); // Voice messages are audio/ogg
+}
+
+function isVoiceMessage(message) {
+  return message.flags?.has("IsVoiceMessage") ?? false;
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -0,0 +1,12 @@
+/**
+ * vocoderAdmin.js
+ *
+ * /vocoder-admin: per-server settings and usage stats (see admin/adminCommand.js).
+ */
+
+import { adminCommand, handleAdminCommand } from "../admin/adminCommand.js";
+
+export default {
+  data: adminCommand,
+  execute: handleAdminCommand                               // Replies are ephemeral, no deferral
+};
@@ -2,30 +2,44 @@
  * interactionCreate.js
  * 
  * Handles interaction creation events for the Discord bot.
- * Listens for slash command interactions and executes the corresponding command logic.
+ * Routes slash commands, context menu commands and autocomplete to their command module,
+ * and buttons, select menus and modals to the module that owns their custom ID prefix.
  */
 
+import { createLogger } from "../utils/logger.js";              // Structured logs
+
+const log = createLogger("interaction");
+
 export default {
-  name: "interactionCreate",
-  async execute(interaction, client) {
-    if (!interaction.isChatInputCommand()) return;                                                    // Only handle chat input commands
+  name: "interactionCreate",
+  async execute(interaction, client) {
+    if (interaction.isAutocomplete()) {                                                               // Option suggestions
+      const command = client.commands.get(interaction.commandName);
+      await command?.autocomplete?.(interaction).catch((e) => log.error("Autocomplete failed", { command: interaction.commandName, err: e }));
+      return;
+    }
 
-    const command = client.commands.get(interaction.commandName);                                     // Get the command from the collection
-    if (!command) return;                                                                             // If command not found, exit
+    // Buttons, select menus and modals are routed by custom ID prefix ("<prefix>:<data>")
+    const handler = interaction.isMessageComponent() || interaction.isModalSubmit()
+      ? client.components.get(interaction.customId.split(":")[0])
+      : null;
+    const command = interaction.isChatInputCommand() || interaction.isContextMenuCommand()
+      ? client.commands.get(interaction.commandName)                                                  // Get the command from the collection
+      : null;
+    const run = handler ?? command?.execute;
+    if (!run) return;                                                                                 // Not ours, exit
 
-    try {
-      // Defer reply to allow more time for processing
-        await interaction.deferReply();                                                               // Acknowledge command
-        await command.execute(interaction);                                                           // Execute the command
-    } catch (err) {
-      console.error(err);                                                                             // Log the error
+    try {
+      await run(interaction, client);                                                                 // Commands defer or reply themselves
+    } catch (err) {
+      log.error("Interaction failed", { command: interaction.commandName, customId: interaction.customId, err }); // Log the error
 
       // Inform the user of the error
       if (interaction.deferred || interaction.replied) {
-          await interaction.editReply("❌ An error occurred while executing the command.");          // Edit deferred reply
+          await interaction.editReply("❌ An error occurred while executing the command.").catch(() => {}); // Edit deferred reply
       } else {
-          await interaction.reply({ content: "❌ An immediate error occurred.", ephemeral: true });  // Immediate reply
+          await interaction.reply({ content: "❌ An immediate error occurred.", ephemeral: true }).catch(() => {}); // Immediate reply
       }
-    }
-  }                                                                                                   // End of execute function
+    }
+  }                                                                                                   // End of execute function
 }; 
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * ready.js
+ *
+ * Runs once when the bot has logged in: registers slash commands and
+ * re-queues jobs that were interrupted by the last shutdown.
+ */
+
+import { registerCommands } from "../utils/loader.js";          // Slash command registration
+import { restorePendingJobs } from "../jobs/vocodeQueue.js";    // Job queue
+import { createLogger } from "../utils/logger.js";              // Structured logs
+
+const log = createLogger("bot");
+
+export default {
+  name: "ready",
+  once: true,
+  async execute(client) {
+    log.info("Bot online", { user: client.user.tag });      // Log bot online status
+
+    try {
+      const target = await registerCommands(client);       // Guild (DEV_GUILD_ID) or global
+      log.info("Slash commands registered", { target });    // Success log
+    } catch (err) {                                         // Error handling
+      log.error("Command registration failed", { err });    // Log error
+    }
+
+    try {
+      const restored = await restorePendingJobs(client);    // Jobs interrupted by the last shutdown
+      if (restored > 0) log.info("Restored pending jobs", { count: restored });
+    } catch (err) {                                         // Corrupt pending-jobs.json: start with an empty queue
+      log.error("Could not restore pending jobs", { err });
+    }
+  }
+};
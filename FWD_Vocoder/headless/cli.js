@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ *
+ * `vocode` command line tool: renders local files without a bot token.
+ * Every /vocode parameter is available as a flag (min_freq -> --min-freq).
+ * When the modulator is a directory, every media file in it is rendered (batch mode).
+ */
+
+import { promises as fs, realpathSync } from "fs";               // File system APIs
+import path from "path";                                         // Path utilities
+import { parseArgs } from "util";                                // Flag parsing
+import { fileURLToPath } from "url";                             // Entry point check
+import { config } from "dotenv";                                 // Input limits etc. from .env
+import { TEMP_DIR } from "../media/ffmpeg.js";                  // Temp directory
+import { PARAM_OPTIONS, parseParamValues } from "../vocoder/params.js"; // Shared parameters
+import { FACTORY_PRESETS } from "../presets/factoryPresets.js"; // Built-in presets
+import { prepareRender, renderFiles, formatFromFileName, MEDIA_EXTENSIONS } from "./render.js"; // Headless rendering
+
+const { mkdir, readdir, rmdir, stat, writeFile } = fs;
+
+const flagName = (param) => param.name.replace(/_/g, "-");       // min_freq -> min-freq
+
+const USAGE = `Usage:
+  vocode <modulator> [carrier] [-o out.wav] [--preset NAME] [parameters]
+  vocode <directory> [carrier] [--out-dir DIR] [--preset NAME] [parameters]
+
+Without a carrier file the built-in carrier is used (--carrier-preset, --chord,
+or --key/--harmony to follow the voice's melody).
+The output format follows -o's extension unless --format is given.
+
+Options:
+  -o, --output FILE     Output file (default: <modulator>_vocoded.<ext>)
+      --out-dir DIR     Output directory for batch mode (default: <directory>/vocoded)
+      --preset NAME     Built-in preset (${Object.keys(FACTORY_PRESETS).join(", ")})
+  -h, --help            Show this help
+
+Parameters:
+${PARAM_OPTIONS.map((p) => `  --${flagName(p).padEnd(20)}${p.description}`).join("\n")}`;
+
+/**
+ * Runs the CLI with `argv` (without "node cli.js"). Returns the process exit code.
+ * `log` receives progress lines; `render` renders one file (default: renderFiles).
+ */
+export async function runCli(argv, { log = console.log, render = renderFiles } = {}) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      "out-dir": { type: "string" },
+      preset: { type: "string" },
+      help: { type: "boolean", short: "h" },
+      ...Object.fromEntries(PARAM_OPTIONS.map((p) => [flagName(p), { type: p.type === "Boolean" ? "boolean" : "string" }])) // --stereo is a switch
+    }
+  });
+
+  if (values.help || positionals.length === 0 || positionals.length > 2) {
+    log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const [modulator, carrierPath = null] = positionals;
+  const raw = Object.fromEntries(
+    PARAM_OPTIONS.filter((p) => values[flagName(p)] !== undefined).map((p) => [p.name, values[flagName(p)]])
+  );
+  const impliedFormat = values.output && formatFromFileName(values.output);
+  if (impliedFormat && raw.format === undefined) raw.format = impliedFormat; // -o out.mp3
+
+  const prepared = await prepareRender({
+    params: parseParamValues(raw),
+    presetName: values.preset ?? null,
+    hasCarrierFile: Boolean(carrierPath)
+  });
+
+  const createdTemp = !(await exists(TEMP_DIR));
+  await mkdir(TEMP_DIR, { recursive: true });
+  try {
+    if ((await stat(modulator)).isDirectory()) {
+      return await renderBatch(modulator, carrierPath, prepared, { outDir: values["out-dir"], log, render });
+    }
+    const output = await render({ modulatorPath: modulator, carrierPath, prepared });
+    const outPath = values.output ?? defaultOutputPath(modulator, path.dirname(modulator), output.ext);
+    await writeFile(outPath, output.buffer);
+    log(`✅ ${outPath}`);
+    return 0;
+  } finally {
+    if (createdTemp) await rmdir(TEMP_DIR).catch(() => {}); // Only if empty
+  }
+}
+
+// BATCH MODE
+async function renderBatch(dir, carrierPath, prepared, { outDir = path.join(dir, "vocoded"), log, render }) {
+  const files = (await readdir(dir))
+    .filter((file) => MEDIA_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+  if (files.length === 0) throw new Error(`No media files found in ${dir}.`);
+
+  await mkdir(outDir, { recursive: true });
+  let failed = 0;
+  for (const [i, file] of files.entries()) {
+    const modulatorPath = path.join(dir, file);
+    try {
+      const output = await render({ modulatorPath, carrierPath, prepared });
+      const outPath = defaultOutputPath(modulatorPath, outDir, output.ext);
+      await writeFile(outPath, output.buffer);
+      log(`[${i + 1}/${files.length}] ✅ ${outPath}`);
+    } catch (err) {
+      failed++;                                             // Keep going with the other files
+      log(`[${i + 1}/${files.length}] ❌ ${file}: ${err.message}`);
+    }
+  }
+  log(`Rendered ${files.length - failed} of ${files.length} file(s).`);
+  return failed ? 1 : 0;
+}
+
+// HELPER FUNCTIONS
+function defaultOutputPath(inputPath, dir, ext) {
+  return path.join(dir, `${path.parse(inputPath).name}_vocoded.${ext}`);
+}
+
+async function exists(p) {
+  return stat(p).then(() => true, () => false);
+}
+
+// ENTRY POINT
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) { // Also via npm's bin link
+  config();                                                 // Initialize dotenv
+  runCli(process.argv.slice(2))
+    .then((code) => { process.exitCode = code; })
+    .catch((err) => {
+      console.error(`❌ ${err.message}`);
+      process.exitCode = 1;
+    });
+}
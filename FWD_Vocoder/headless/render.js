@@ -0,0 +1,66 @@
+/**
+ * render.js
+ *
+ * Renders local media files without Discord, for the CLI and the HTTP API.
+ * Uses the same FFmpeg normalization, parameters and presets as /vocode.
+ */
+
+import { convertToWav } from "../media/mediaInput.js";          // Input normalization
+import { encodeOutput, OUTPUT_FORMATS } from "../media/outputEncoder.js"; // Output formats
+import { runVocoder } from "../vocoder/vocoderEngine.js";      // Vocoder engine
+import { renderCarrier } from "../vocoder/carrierSynth.js";     // Built-in carriers
+import { mergeParams, resolveParams } from "../vocoder/params.js"; // Shared parameters
+import { findPreset } from "../presets/presetStore.js";         // Preset lookup
+
+export const MEDIA_EXTENSIONS = [
+  ".mp3", ".wav", ".m4a", ".ogg", ".opus", ".flac", ".aac",
+  ".mp4", ".mov", ".mkv", ".avi", ".webm"
+];                                                               // Files picked up by batch mode
+
+export const CONTENT_TYPES = {
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  flac: "audio/flac"
+};
+
+/**
+ * Resolves an optional built-in preset and validates the merged parameters.
+ * Only factory presets are available without a Discord user.
+ * Returns { preset, params, vocoderOptions, carrierOptions, outputOptions }.
+ */
+export async function prepareRender({ params = {}, presetName = null, hasCarrierFile = false } = {}) {
+  let preset = null;
+  if (presetName) {
+    preset = await findPreset(presetName, {});
+    if (!preset) throw new Error(`Preset "${presetName}" not found.`);
+  }
+  const merged = mergeParams(preset?.params, params, { hasCarrierFile });
+  return { preset, params: merged, ...resolveParams(merged, hasCarrierFile) };
+}
+
+/**
+ * Renders a modulator file with a carrier file (or the built-in carrier).
+ * `prepared` comes from prepareRender. Returns { buffer, format, bitrate, ext }.
+ */
+export async function renderFiles({ modulatorPath, carrierPath = null, prepared, signal }) {
+  const { vocoderOptions, carrierOptions, outputOptions } = prepared;
+
+  const [modBuffer, carFileBuffer] = await Promise.all([
+    convertToWav(modulatorPath, { signal, label: "modulator" }),
+    carrierPath ? convertToWav(carrierPath, { signal, label: "carrier" }) : null
+  ]);
+  const carBuffer = carFileBuffer ?? await renderCarrier(modBuffer, carrierOptions);
+
+  signal?.throwIfAborted();
+  const resultBuffer = await runVocoder(modBuffer, carBuffer, vocoderOptions, { signal }); // Run vocoder engine
+  return encodeOutput(resultBuffer, { ...outputOptions, signal });
+}
+
+/**
+ * Output format implied by a file name ("out.mp3" -> "mp3"), or undefined.
+ */
+export function formatFromFileName(fileName) {
+  const ext = fileName.split(".").pop()?.toLowerCase();
+  return Object.keys(OUTPUT_FORMATS).find((format) => OUTPUT_FORMATS[format].ext === ext);
+}
@@ -0,0 +1,185 @@
+/**
+ * server.js
+ *
+ * Small local HTTP API for scripted renders.
+ *
+ *   POST /vocode  multipart/form-data: modulator (file), carrier (file, optional),
+ *                 preset (built-in preset name, optional) and any /vocode parameter as a text field.
+ *                 Responds with the rendered audio file.
+ *   GET  /health  Queue status as JSON.
+ *
+ * Renders go through the same job queue settings as the bot. Errors are JSON: { error, code }.
+ * Listens on 127.0.0.1 by default; there is no authentication, so do not expose it publicly.
+ */
+
+import http from "http";                                         // HTTP server
+import { promises as fs, realpathSync } from "fs";               // File system APIs
+import path from "path";                                         // Path utilities
+import { Readable, Transform } from "stream";                    // Request body limit
+import { fileURLToPath } from "url";                             // Entry point check
+import { v4 as uuidv4 } from "uuid";                             // For generating unique filenames
+import { config } from "dotenv";                                 // Port, limits etc. from .env
+import { TEMP_DIR, mediaError } from "../media/ffmpeg.js";      // Temp directory
+import { getInputLimits } from "../media/mediaInput.js";        // Upload limits
+import { createJobQueue } from "../jobs/jobQueue.js";           // Render queue
+import { parseParamValues } from "../vocoder/params.js";        // Shared parameters
+import { readIntEnv } from "../utils/env.js";                   // Numeric settings
+import { createLogger } from "../utils/logger.js";              // Structured logs
+import { prepareRender, renderFiles, CONTENT_TYPES } from "./render.js"; // Headless rendering
+
+const { writeFile, unlink, mkdir } = fs;
+const log = createLogger("http");
+
+const FILE_FIELDS = ["modulator", "carrier"];                    // Everything else is a parameter
+const STATUS_BY_CODE = {
+  INPUT_TOO_LARGE: 413,
+  INPUT_TOO_LONG: 422,
+  INPUT_NO_AUDIO: 422,
+  INPUT_UNREADABLE: 422,
+  QUEUE_USER_LIMIT: 429,
+  QUEUE_CLOSED: 503,
+  JOB_CANCELLED: 503,                                       // Client went away, or the server is stopping
+  JOB_TIMEOUT: 504,
+  FFMPEG_TIMEOUT: 504
+};
+
+/**
+ * Creates the HTTP server (not listening yet).
+ * options.queue: job queue to render in (default: one built from the QUEUE_* settings)
+ * options.render: renders a job, same signature as renderFiles (default: renderFiles)
+ */
+export function createVocodeServer({ queue, render = renderFiles } = {}) {
+  const renderQueue = queue ?? createJobQueue({
+    concurrency: readIntEnv("QUEUE_CONCURRENCY", 1),
+    perUserLimit: readIntEnv("QUEUE_USER_LIMIT", 2),
+    timeoutMs: readIntEnv("JOB_TIMEOUT_SECONDS", 300) * 1000
+  });
+
+  return http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && pathname === "/health") {
+        sendJson(res, 200, { status: "ok", queue: renderQueue.stats() });
+      } else if (req.method === "POST" && pathname === "/vocode") {
+        await handleVocode(req, res, renderQueue, render);
+      } else {
+        sendJson(res, 404, { error: "Not found. Use POST /vocode or GET /health." });
+      }
+    } catch (err) {
+      const status = STATUS_BY_CODE[err.code] ?? (err.status || 500);
+      if (status === 500) log.error("HTTP render failed", { err }); // Unexpected
+      if (!res.headersSent) sendJson(res, status, { error: err.message, code: err.code });
+      else res.destroy();
+    }
+  });
+}
+
+// POST /vocode
+async function handleVocode(req, res, queue, render) {
+  const form = await readForm(req);
+  const modulator = form.get("modulator");
+  const carrier = form.get("carrier");
+  if (!isFile(modulator)) throw badRequest('Send the modulator as a file field named "modulator".');
+  if (carrier !== null && !isFile(carrier)) throw badRequest('"carrier" must be a file.');
+
+  let prepared;
+  try {
+    const raw = {};
+    for (const [name, value] of form.entries()) {
+      if (!FILE_FIELDS.includes(name) && name !== "preset") raw[name] = value;
+    }
+    prepared = await prepareRender({
+      params: parseParamValues(raw),
+      presetName: form.get("preset"),
+      hasCarrierFile: Boolean(carrier)
+    });
+  } catch (err) {
+    throw Object.assign(err, { status: 400 });              // Invalid parameters
+  }
+
+  await mkdir(TEMP_DIR, { recursive: true });
+  const modulatorPath = await saveUpload(modulator);
+  const carrierPath = carrier ? await saveUpload(carrier) : null;
+  let output;
+  try {
+    const job = queue.enqueue({
+      userId: req.socket.remoteAddress,                     // Per-client limit
+      run: (signal) => render({ modulatorPath, carrierPath, prepared, signal })
+    });
+    res.on("close", () => {
+      if (!res.writableEnded) queue.cancel(job.id, null, { force: true }); // Client went away
+    });
+
+    output = await job.promise;
+  } finally {                                               // Uploads are gone before the response is sent
+    await unlink(modulatorPath).catch(() => {});
+    if (carrierPath) await unlink(carrierPath).catch(() => {});
+  }
+
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[output.format],
+    "Content-Length": output.buffer.length,
+    "Content-Disposition": `attachment; filename="vocoded.${output.ext}"`
+  });
+  res.end(output.buffer);
+}
+
+// Parses the multipart body, stopping once it is larger than two maximum-size inputs
+async function readForm(req) {
+  const maxBytes = getInputLimits().maxBytes * 2 + 1024 * 1024; // Modulator + carrier + fields
+  if (Number(req.headers["content-length"]) > maxBytes) {
+    throw mediaError("The upload is too large.", "INPUT_TOO_LARGE");
+  }
+
+  let received = 0;
+  const limited = req.pipe(new Transform({
+    transform(chunk, _enc, callback) {
+      received += chunk.length;
+      if (received > maxBytes) callback(mediaError("The upload is too large.", "INPUT_TOO_LARGE"));
+      else callback(null, chunk);
+    }
+  }));
+
+  const request = new Request("http://localhost/", {
+    method: "POST",
+    headers: { "content-type": req.headers["content-type"] ?? "" },
+    body: Readable.toWeb(limited),
+    duplex: "half"
+  });
+  try {
+    return await request.formData();
+  } catch (err) {
+    if (received > maxBytes) throw mediaError("The upload is too large.", "INPUT_TOO_LARGE");
+    throw badRequest("Send the request as multipart/form-data.");
+  }
+}
+
+// HELPER FUNCTIONS
+async function saveUpload(file) {
+  const filePath = path.join(TEMP_DIR, `raw_${uuidv4()}${path.extname(file.name)}`);
+  await writeFile(filePath, Buffer.from(await file.arrayBuffer()));
+  return filePath;
+}
+
+function isFile(value) {
+  return value !== null && typeof value === "object" && typeof value.arrayBuffer === "function";
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// ENTRY POINT
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  config();                                                 // Initialize dotenv
+  const port = readIntEnv("HTTP_PORT", 8080);
+  const host = process.env.HTTP_HOST || "127.0.0.1";
+  createVocodeServer().listen(port, host, () => {
+    log.info("Vocoder API listening", { url: `http://${host}:${port}` });
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * jobQueue.js
+ *
+ * Render job queue with worker concurrency, per-user limits, position updates,
+ * timeouts and cancellation.
+ * Jobs are picked fairly: the waiting job whose owner has the fewest running jobs goes first.
+ */
+
+import { v4 as uuidv4 } from "uuid";                             // Job IDs
+import { createLogger } from "../utils/logger.js";              // Structured logs
+
+const log = createLogger("queue");
+
+/**
+ * Creates a queue.
+ * options: { concurrency, perUserLimit, timeoutMs }
+ */
+export function createJobQueue({ concurrency = 1, perUserLimit = 2, timeoutMs = 5 * 60 * 1000 } = {}) {
+  const waiting = [];                                       // Jobs not started yet (FIFO)
+  const running = new Map();                                // id -> job
+  let accepting = true;                                     // False once shutdown starts
+
+  /**
+   * Adds a job. `run(signal, job)` does the work and should stop when `signal` aborts.
+   * `onPosition(position, job)` is called whenever the job's waiting position changes (0 = started).
+   * `data` is any serializable payload kept for persistence.
+   * Returns the job; `job.promise` settles with run's result or the abort/run error.
+   */
+  function enqueue({ userId, run, onPosition = () => {}, data = null }) {
+    if (!accepting) throw queueError("The bot is restarting. Try again in a moment.", "QUEUE_CLOSED");
+
+    const active = countUserJobs(userId);
+    if (active >= perUserLimit) {
+      throw queueError(
+        `You already have ${active} job${active === 1 ? "" : "s"} in the queue (limit ${perUserLimit}). ` +
+        "Wait for one to finish or use /cancel.",
+        "QUEUE_USER_LIMIT"
+      );
+    }
+
+    const job = { id: uuidv4(), userId, run, onPosition, data, position: null, controller: new AbortController() };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    waiting.push(job);
+    pump();                                                 // Start it right away if a worker is free
+    return job;
+  }
+
+  /**
+   * Cancels a waiting or running job. Only the owner (or `force`) may cancel.
+   * Returns true when a job was cancelled (false if it was already aborted).
+   */
+  function cancel(jobId, userId, { force = false } = {}) {
+    const job = findJob(jobId);
+    if (!job || job.controller.signal.aborted || (!force && job.userId !== userId)) return false;
+    abortJob(job, queueError("Job cancelled.", "JOB_CANCELLED"));
+    return true;
+  }
+
+  // Cancels every job of a user, returns how many
+  function cancelUserJobs(userId) {
+    const jobs = [...waiting, ...running.values()].filter((job) => job.userId === userId);
+    return jobs.filter((job) => cancel(job.id, userId)).length;
+  }
+
+  /**
+   * Stops accepting jobs and returns the data of every unfinished job (waiting and running),
+   * so they can be persisted and retried after a restart. Aborted jobs still winding down are left out.
+   */
+  function shutdown() {
+    accepting = false;
+    return [...running.values(), ...waiting]
+      .filter((job) => !job.controller.signal.aborted)
+      .map((job) => job.data)
+      .filter(Boolean);
+  }
+
+  function stats() {
+    return { waiting: waiting.length, running: running.size, concurrency };
+  }
+
+  // WORKERS
+  function pump() {
+    while (running.size < concurrency && waiting.length > 0) {
+      const index = pickNextIndex();
+      const [job] = waiting.splice(index, 1);
+      start(job);
+    }
+    notifyPositions();
+  }
+
+  function start(job) {
+    running.set(job.id, job);
+    const { signal } = job.controller;
+    const timer = setTimeout(() => {
+      abortJob(job, queueError(`Job timed out after ${Math.round(timeoutMs / 1000)} s.`, "JOB_TIMEOUT"));
+    }, timeoutMs);
+
+    // An aborted job settles right away, but keeps its worker until `run` returns,
+    // so a render that is still winding down counts towards the concurrency
+    const aborted = new Promise((_, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+    });
+    const work = Promise.resolve().then(() => {
+      signal.throwIfAborted();                              // Cancelled before run was called
+      return job.run(signal, job);
+    });
+
+    Promise.race([work, aborted]).then(job.resolve, job.reject);
+    work
+      .catch(() => {})                                      // Reported through job.promise
+      .finally(() => {
+        clearTimeout(timer);
+        running.delete(job.id);
+        pump();                                             // Next job
+      });
+  }
+
+  function pickNextIndex() {
+    let best = 0;
+    let bestLoad = Infinity;
+    waiting.forEach((job, i) => {
+      const load = countRunning(job.userId);
+      if (load < bestLoad) {
+        best = i;
+        bestLoad = load;
+      }
+    });                                                     // Earliest job of the least busy user
+    return best;
+  }
+
+  function notifyPositions() {
+    const report = (job, position) => {
+      if (job.position === position) return;                // Unchanged
+      job.position = position;
+      Promise.resolve()
+        .then(() => job.onPosition(position, job))
+        .catch((e) => log.warn("Queue position update failed", { jobId: job.id, err: e }));
+    };
+    for (const job of running.values()) report(job, 0);     // Started
+    waiting.forEach((job, i) => report(job, i + 1));        // 1-based positions
+  }
+
+  // HELPER FUNCTIONS
+  function abortJob(job, reason) {
+    const index = waiting.indexOf(job);
+    if (index !== -1) {
+      waiting.splice(index, 1);                             // Never started
+      job.reject(reason);
+      notifyPositions();
+      return;
+    }
+    job.controller.abort(reason);                           // Running: worker frees itself once run stops
+  }
+
+  function findJob(jobId) {
+    return running.get(jobId) ?? waiting.find((job) => job.id === jobId) ?? null;
+  }
+
+  function countRunning(userId) {
+    let count = 0;
+    for (const job of running.values()) if (job.userId === userId) count++;
+    return count;
+  }
+
+  // Waiting and running jobs that count towards the per-user limit (cancelled ones winding down don't)
+  function countUserJobs(userId) {
+    return [...waiting, ...running.values()]
+      .filter((job) => job.userId === userId && !job.controller.signal.aborted).length;
+  }
+
+  return { enqueue, cancel, cancelUserJobs, shutdown, stats };
+}
+
+// Errors carry a `code` so callers can tell queue failures apart
+function queueError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
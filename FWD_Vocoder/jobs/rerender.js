@@ -0,0 +1,108 @@
+/**
+ * rerender.js
+ *
+ * "Width -10 / +10" and "Swap modulator/carrier" buttons on /vocode results.
+ * The converted input buffers of each result are kept in memory for a while
+ * (RERENDER_CACHE_MINUTES, up to RERENDER_CACHE_MB in total), so a re-render
+ * skips the download and FFmpeg conversion.
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js"; // Discord.js v14
+import { v4 as uuidv4 } from "uuid";                             // Cache keys
+import { readIntEnv } from "../utils/env.js";                   // Numeric settings
+import { memberRoleIds } from "../admin/guildConfig.js";      // Guild rules
+
+export const RERENDER_BUTTON_ID = "vocode-again";                // Custom ID prefix ("vocode-again:<cacheId>:<width>:<swap>")
+
+const WIDTH_STEP = 10;
+const cache = new Map();                                         // cacheId -> entry, oldest first
+
+/**
+ * Keeps a result's inputs for re-renders. `entry` is { request, params, modBuffer, carBuffer }.
+ * Returns the cache ID, or null when the inputs are larger than the whole cache.
+ */
+export function cacheInputs(entry) {
+  const bytes = entry.modBuffer.length + entry.carBuffer.length;
+  const maxBytes = readIntEnv("RERENDER_CACHE_MB", 200) * 1024 * 1024;
+  if (bytes > maxBytes) return null;
+
+  evictExpired();
+  let total = bytes;
+  for (const cached of cache.values()) total += cached.bytes;
+  for (const [id, cached] of cache) {
+    if (total <= maxBytes) break;
+    cache.delete(id);                                       // Oldest first
+    total -= cached.bytes;
+  }
+
+  const id = uuidv4().slice(0, 8);                          // Short, to fit the custom ID
+  cache.set(id, { ...entry, bytes, expiresAt: expiry() });
+  return id;
+}
+
+/**
+ * A cached entry (refreshing its expiry), or null once it has expired or been evicted.
+ */
+export function getCachedInputs(id) {
+  evictExpired();
+  const entry = cache.get(id);
+  if (!entry) return null;
+  cache.delete(id);
+  cache.set(id, { ...entry, expiresAt: expiry() });         // Most recently used goes last
+  return entry;
+}
+
+/**
+ * Buttons for a result rendered from cache entry `cacheId` at `width`.
+ * `swap` is whether modulator and carrier were swapped for this result.
+ */
+export function rerenderRow({ cacheId, width, swap, canSwap }) {
+  const button = (label, newWidth, newSwap) => new ButtonBuilder()
+    .setCustomId(`${RERENDER_BUTTON_ID}:${cacheId}:${newWidth}:${newSwap ? 1 : 0}`)
+    .setLabel(label)
+    .setStyle(ButtonStyle.Secondary);
+
+  const row = new ActionRowBuilder().addComponents(
+    button(`Width -${WIDTH_STEP}`, Math.max(0, width - WIDTH_STEP), swap).setDisabled(width <= 0),
+    button(`Width +${WIDTH_STEP}`, Math.min(100, width + WIDTH_STEP), swap).setDisabled(width >= 100)
+  );
+  if (canSwap) row.addComponents(button("Swap modulator/carrier", width, !swap));
+  return row;
+}
+
+/**
+ * Builds the /vocode request for a button press, or returns null when the inputs have expired.
+ */
+export function buildRerenderRequest(interaction) {
+  const [, cacheId, width, swap] = interaction.customId.split(":");
+  const entry = getCachedInputs(cacheId);
+  if (!entry) return null;
+
+  const { request, params } = entry;
+  const swapped = swap === "1";
+  return {
+    ...request,
+    userId: interaction.user.id,                            // Counts against the presser's queue limit
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    roles: memberRoleIds(interaction),
+    modulator: swapped ? request.carrier : request.modulator,
+    carrier: swapped ? request.modulator : request.carrier,
+    params: { ...params, width: Number(width) },            // Preset values are already merged in
+    presetName: null,
+    video: false,                                           // The original video is not kept
+    rerender: { cacheId, swap: swapped }
+  };
+}
+
+// HELPER FUNCTIONS
+function expiry() {
+  return Date.now() + readIntEnv("RERENDER_CACHE_MINUTES", 30) * 60 * 1000;
+}
+
+function evictExpired() {
+  const now = Date.now();
+  for (const [id, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(id);
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * vocodeJob.js
+ *
+ * The /vocode pipeline, independent of how it was requested.
+ * A request is a plain serializable object, so queued jobs can be persisted and retried.
+ */
+
+import { promises as fs } from "fs";                             // File system promises API
+import path from "path";                                         // Path utilities
+import { v4 as uuidv4 } from "uuid";                             // For generating unique filenames
+import { TEMP_DIR } from "../media/ffmpeg.js";                  // Temp directory
+import { downloadToTemp, convertToWav, downloadAndConvert, checkAttachmentSize } from "../media/mediaInput.js"; // Input normalization
+import { muxVideo } from "../media/videoMux.js";                 // Video output
+import { encodeForUpload, OUTPUT_FORMATS, DEFAULT_UPLOAD_LIMIT, formatBytes } from "../media/outputEncoder.js"; // Output formats
+import { runVocoder } from "../vocoder/vocoderEngine.js";      // Vocoder engine
+import { renderCarrier } from "../vocoder/carrierSynth.js";     // Built-in carriers
+import { readParams, mergeParams, resolveParams } from "../vocoder/params.js"; // Shared parameters
+import { findPreset } from "../presets/presetStore.js";         // Preset lookup
+import { buildPreview } from "./vocodePreview.js";              // Preview image and clip
+import { cacheInputs, getCachedInputs, rerenderRow } from "./rerender.js"; // Re-render buttons
+import { memberRoleIds } from "../admin/guildConfig.js";      // Guild rules
+import { createLogger } from "../utils/logger.js";              // Structured logs
+
+const { writeFile, unlink } = fs;
+const log = createLogger("vocode");
+
+/**
+ * Captures everything a /vocode job needs from a slash command interaction.
+ */
+export function buildVocodeRequest(interaction) {
+  return {
+    userId: interaction.user.id,
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    roles: memberRoleIds(interaction),                      // For the guild's allowed roles
+    modulator: attachmentInfo(interaction.options.getAttachment("modulator")),
+    carrier: attachmentInfo(interaction.options.getAttachment("carrier")),
+    params: readParams(interaction.options),                // Explicit options only
+    presetName: interaction.options.getString("preset"),
+    video: interaction.options.getBoolean("video") ?? false,
+    maxBytes: interaction.attachmentSizeLimit ?? DEFAULT_UPLOAD_LIMIT // Guild-aware upload limit
+  };
+}
+
+/**
+ * The serializable part of a Discord attachment, as stored in a request (null stays null).
+ */
+export function attachmentInfo(attachment) {
+  if (!attachment) return null;
+  const { url, name, contentType, size } = attachment;
+  return { url, name, contentType, size };
+}
+
+/**
+ * Resolves the preset and validates every option before the job is queued.
+ * Throws an Error with a user-facing message.
+ */
+export async function prepareVocode(request) {
+  const { modulator: mod, carrier: car } = request;
+  const preset = await getPreset(request);                  // Optional preset (null if none)
+  const params = mergeParams(preset?.params, request.params, { hasCarrierFile: Boolean(car) });
+  const { vocoderOptions, carrierOptions, outputOptions } = resolveParams(params, car); // Validate every option
+  const validMime = (type) => type && (type.startsWith("audio/") || type.startsWith("video/")); // Validate MIME types
+
+  if (!validMime(mod.contentType) || (car && !validMime(car.contentType))) { // Validate attachments
+    throw new Error("Files must be Audio or Video.");       // Error if invalid types
+  }
+  if (request.video && !mod.contentType.startsWith("video/")) {
+    throw new Error("The video option needs a video file as the modulator.");
+  }
+  checkAttachmentSize(mod, "modulator");                    // Reject oversized uploads before queueing
+  if (car) checkAttachmentSize(car, "carrier");
+  if (request.rerender && !getCachedInputs(request.rerender.cacheId)) {
+    throw new Error("These files are no longer cached. Run /vocode again.");
+  }
+
+  return { request, preset, params, vocoderOptions, carrierOptions, outputOptions };
+}
+
+/**
+ * Runs a prepared job. `update(text)` reports progress; `signal` aborts between steps;
+ * `maxSeconds` overrides the input duration limit (the guild's setting).
+ * Returns the reply payload ({ content, files }).
+ */
+export async function runVocode(job, { update = async () => {}, signal, maxSeconds } = {}) {
+  const { request, preset, params, vocoderOptions, carrierOptions, outputOptions } = job;
+  const { modulator: mod, carrier: car, video: wantsVideo, maxBytes, rerender } = request;
+  const step = async (text) => {
+    signal?.throwIfAborted();                               // Stop between steps once cancelled
+    await update(text);
+  };
+
+  let outPath = null;                                       // Output file path for cleanup
+  let videoPath = null;                                     // Original video kept for muxing
+  try {                                                     // Main processing block
+    let modBuffer;
+    let carBuffer;
+    let cacheId;
+    if (rerender) {
+      // Re-render button: reuse the converted inputs of the earlier result
+      const cached = getCachedInputs(rerender.cacheId);
+      if (!cached) throw new Error("These files are no longer cached. Run /vocode again.");
+      [modBuffer, carBuffer] = rerender.swap ? [cached.carBuffer, cached.modBuffer] : [cached.modBuffer, cached.carBuffer];
+      cacheId = rerender.cacheId;
+    } else {
+      await step("📥 Downloading & Converting Media...");
+
+      // Download and convert attachments to WAV buffers
+      // (a video modulator is kept on disk so its picture can be reused; it is downloaded
+      // first so the cleanup below knows about it even if the carrier fails)
+      const modInput = { signal, maxSeconds, label: "modulator" };
+      if (wantsVideo) videoPath = await downloadToTemp(mod.url, mod.name, modInput);
+      const [modFileBuffer, carFileBuffer] = await Promise.all([
+        videoPath ? convertToWav(videoPath, modInput) : downloadAndConvert(mod.url, mod.name, modInput),
+        car ? downloadAndConvert(car.url, car.name, { signal, maxSeconds, label: "carrier" }) : null
+      ]);                                                   // End Promise.all
+
+      // No carrier file: synthesize one at the modulator's length
+      modBuffer = modFileBuffer;
+      carBuffer = carFileBuffer ?? await renderCarrier(modBuffer, carrierOptions);
+      cacheId = cacheInputs({ request, params, modBuffer, carBuffer }); // For the re-render buttons
+    }
+
+    await step("🎚 Processing Vocoder Engine...");
+
+    // The engine receives clean WAV buffers now, so it's happy
+    const resultBuffer = await runVocoder(modBuffer, carBuffer, vocoderOptions, { signal }); // Run vocoder engine
+
+    await step("🖼️ Drawing Preview...");
+    const preview = await buildPreview({ modBuffer, carBuffer, resultBuffer, vocoderOptions, signal }).catch((err) => {
+      if (signal?.aborted) throw err;
+      log.error("Preview failed", { err });                 // The result is still delivered without it
+      return null;
+    });
+    const extraFiles = [
+      ...(preview ? [{ attachment: preview.image, name: "preview.png" }] : []),
+      ...(preview?.clip && !wantsVideo ? [{ attachment: preview.clip.buffer, name: `preview.${preview.clip.ext}` }] : [])
+    ];
+    const outputBudget = maxBytes - extraFiles.reduce((sum, f) => sum + f.attachment.length, 0); // Leave room for the extras
+
+    // Encode to the requested format, compressing further if it would not fit the upload limit
+    let output;
+    if (wantsVideo) {
+      await step("🎬 Muxing Video...");
+      output = await muxVideo(videoPath, resultBuffer, { maxBytes: outputBudget, signal }); // MP4 with vocoded audio
+    } else {
+      signal?.throwIfAborted();
+      output = await encodeForUpload(resultBuffer, { ...outputOptions, maxBytes: outputBudget, signal });
+    }
+
+    // Save result to temp file for sending
+    const fileName = `vocoded_${uuidv4()}.${output.ext}`;   // Unique output filename
+    outPath = path.join(TEMP_DIR, fileName);                // Full output path
+    await writeFile(outPath, output.buffer);                // Write output file
+
+    // SEND AS BUFFER (prevents file lock issues)
+    const sendBuffer = Buffer.from(output.buffer);          // Detached buffer copy
+
+    return {
+      content: `✅ **Vocoding complete!**\n${describeOptions(vocoderOptions, carrierOptions, preset, rerender)}\n${wantsVideo ? describeVideo(output) : describeOutput(output, outputOptions, outputBudget)}`,
+      files: [{ attachment: sendBuffer, name: fileName }, ...extraFiles],
+      components: cacheId
+        ? [rerenderRow({ cacheId, width: vocoderOptions.width, swap: Boolean(rerender?.swap), canSwap: Boolean(car) })]
+        : []
+    };
+  } finally {                                               // Cleanup
+    if (outPath) {
+      await unlink(outPath).catch(() => {});                // Immediate cleanup (safe)
+    }
+    if (videoPath) {
+      await unlink(videoPath).catch(() => {});              // Original video upload
+    }
+  }
+}
+
+// RESOLVE THE preset: OPTION
+async function getPreset(request) {
+  if (!request.presetName) return null;
+  const preset = await findPreset(request.presetName, { userId: request.userId, guildId: request.guildId });
+  if (!preset) throw new Error(`Preset "${request.presetName}" not found. See /preset list.`);
+  return preset;
+}
+
+// SUMMARY LINE FOR THE RESULT MESSAGE
+function describeOptions(opts, carrierOptions, preset, rerender) {
+  return [
+    preset && `🎚️ Preset: ${preset.name}`,
+    rerender?.swap && "🔁 Modulator and carrier swapped",
+    carrierOptions && `🎹 Carrier: ${describeCarrier(carrierOptions)}`,
+    `🎛️ Width: ${opts.width}%`,
+    opts.stereo && `🔊 Stereo spread: ${opts.spread}%`,
+    (opts.sibilance || opts.dryMix || opts.gateDb !== null) && `🗣️ Voice: ${describeVoice(opts)}`,
+    `📊 Bands: ${opts.bands} (${opts.minFreq}–${opts.maxFreq} Hz)`,
+    `⏱️ Attack/Release: ${opts.attack * 1000}/${opts.release * 1000} ms`,
+    (opts.lengthMode !== "shortest" || opts.modOffset || opts.carOffset) && `📏 Length: ${describeLength(opts)}`
+  ].filter(Boolean).join("\n");
+}
+
+function describeCarrier({ preset, notes, tracking }) {
+  if (tracking) {
+    const harmony = tracking.harmony.length ? `, harmony ${tracking.harmony.map((i) => (i > 0 ? `+${i}` : i)).join(" ")}` : "";
+    return `${preset} following the voice (${tracking.key.name}${harmony})`;
+  }
+  return `${preset}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+}
+
+function describeVoice(opts) {
+  return [
+    opts.sibilance && `sibilance ${opts.sibilance}%`,
+    opts.dryMix && `dry ${opts.dryMix}%`,
+    opts.gateDb !== null && `gate ${opts.gateDb} dB`
+  ].filter(Boolean).join(", ");
+}
+
+function describeLength(opts) {
+  const mode = {
+    shortest: "shortest input",
+    modulator: `voice (carrier ${{ loop: "looped", crossfade: "crossfade-looped", stretch: "stretched" }[opts.carrierFit]})`,
+    carrier: "carrier"
+  }[opts.lengthMode];
+  const offset = opts.carOffset ? `, carrier delayed ${opts.carOffset * 1000} ms`
+    : opts.modOffset ? `, voice delayed ${opts.modOffset * 1000} ms` : "";
+  return mode + offset;
+}
+
+// SUMMARY LINE FOR THE DELIVERED FILE
+function describeOutput(output, requested, maxBytes) {
+  const label = (o) => `${OUTPUT_FORMATS[o.format].label}${o.bitrate ? ` ${o.bitrate} kbps` : ""}`;
+  const line = `💾 Format: ${label(output)} (${formatBytes(output.buffer.length)})`;
+  if (!output.fallback) return line;
+  return `${line}\n⚠️ ${label(requested)} was over the ${formatBytes(maxBytes)} upload limit, so it was compressed.`;
+}
+
+// SUMMARY LINE FOR A VIDEO RESULT
+function describeVideo(output) {
+  const line = `🎬 Format: MP4 video (${formatBytes(output.buffer.length)})`;
+  return output.reencoded ? `${line}\n⚠️ Video quality was reduced to fit the upload limit.` : line;
+}
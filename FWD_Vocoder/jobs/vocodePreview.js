@@ -0,0 +1,73 @@
+/**
+ * vocodePreview.js
+ *
+ * Extras attached to a /vocode result: the before/after PNG and a short
+ * preview clip of the loudest part of the output.
+ */
+
+import decodeAudio from "audio-decode";                          // For reading the rendered buffers
+import { renderPreviewImage } from "../media/previewImage.js";  // Waveform/spectrogram PNG
+import { encodePreviewClip } from "../media/outputEncoder.js";  // Preview clip
+import { logFrequencies } from "../vocoder/vocoderEngine.js";  // Band centers
+
+export const PREVIEW_SECONDS = 10;                               // Preview clip length
+const MIN_CLIP_SOURCE = PREVIEW_SECONDS * 1.5;                   // Shorter results are their own preview
+
+/**
+ * Builds the preview image (modulator, carrier, output) and, for results longer than
+ * MIN_CLIP_SOURCE seconds, a PREVIEW_SECONDS clip. Returns { image, clip } (clip may be null).
+ */
+export async function buildPreview({ modBuffer, carBuffer, resultBuffer, vocoderOptions, signal }) {
+  const [modulator, carrier, output] = await Promise.all(
+    [modBuffer, carBuffer, resultBuffer].map(async (buffer) => toMono(await decodeAudio(buffer)))
+  );
+  const bands = logFrequencies(vocoderOptions.minFreq, vocoderOptions.maxFreq, vocoderOptions.bands); // As used by the engine
+
+  const image = renderPreviewImage([
+    { label: "Modulator", ...modulator },
+    { label: "Carrier", ...carrier },
+    { label: `Output - ${bands.length} bands`, ...output }
+  ], { bands });
+
+  signal?.throwIfAborted();
+  const duration = output.samples.length / output.sampleRate;
+  const clip = duration >= MIN_CLIP_SOURCE
+    ? await encodePreviewClip(resultBuffer, {
+      start: loudestWindow(output.samples, output.sampleRate, PREVIEW_SECONDS),
+      seconds: PREVIEW_SECONDS,
+      signal
+    })
+    : null;
+  return { image, clip };
+}
+
+// HELPER FUNCTIONS
+function toMono(decoded) {
+  const samples = new Float32Array(decoded.length);
+  for (let c = 0; c < decoded.numberOfChannels; c++) {
+    const data = decoded.getChannelData(c);
+    for (let i = 0; i < samples.length; i++) samples[i] += data[i] / decoded.numberOfChannels;
+  }
+  return { samples, sampleRate: decoded.sampleRate };
+}
+
+// Start (in whole seconds) of the `seconds`-long window with the most energy
+function loudestWindow(samples, sampleRate, seconds) {
+  const energy = [];                                        // Per second
+  for (let start = 0; start < samples.length; start += sampleRate) {
+    let sum = 0;
+    for (let i = start; i < Math.min(start + sampleRate, samples.length); i++) sum += samples[i] * samples[i];
+    energy.push(sum);
+  }
+
+  let best = 0;
+  let bestEnergy = -1;
+  for (let start = 0; start + seconds <= energy.length; start++) {
+    const total = energy.slice(start, start + seconds).reduce((a, b) => a + b, 0);
+    if (total > bestEnergy) {
+      best = start;
+      bestEnergy = total;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,180 @@
+/**
+ * vocodeQueue.js
+ *
+ * Connects /vocode requests to the job queue: live queue positions in the reply,
+ * a Cancel button and /cancel, and persistence of unfinished jobs across restarts.
+ * Guild rules from /vocoder-admin are applied here, and every job and rejected request
+ * is recorded in the usage stats.
+ */
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js"; // Discord.js v14
+import { createJobQueue } from "./jobQueue.js";                  // Generic queue
+import { prepareVocode, runVocode } from "./vocodeJob.js";       // /vocode pipeline
+import { createJsonStore } from "../storage/jsonStore.js";      // JSON persistence
+import { getGuildConfig, checkAccess, maxInputSeconds } from "../admin/guildConfig.js"; // Guild rules
+import { recordJob, reserveDailyJob, releaseDailyJob } from "../admin/usageStats.js"; // Usage stats and quota
+import { readIntEnv } from "../utils/env.js";                   // Numeric settings
+import { createLogger } from "../utils/logger.js";              // Structured logs
+
+export const CANCEL_BUTTON_ID = "cancel-job";                    // Cancel button custom ID prefix ("cancel-job:<jobId>")
+
+const QUEUE_ERRORS = ["JOB_CANCELLED", "JOB_TIMEOUT"];           // Reported without the "Error:" prefix
+
+let queue = null;                                                // Created on first use, after dotenv has loaded
+const log = createLogger("vocode");
+
+// Queue settings (see .env.example)
+export function getQueue() {
+  return (queue ??= createJobQueue({
+    concurrency: readIntEnv("QUEUE_CONCURRENCY", 1),
+    perUserLimit: readIntEnv("QUEUE_USER_LIMIT", 2),
+    timeoutMs: readIntEnv("JOB_TIMEOUT_SECONDS", 300) * 1000
+  }));
+}
+
+const pendingStore = createJsonStore("pending-jobs.json", { jobs: [] }); // Jobs interrupted by shutdown
+
+/**
+ * Validates and queues a /vocode request.
+ * `responder` reports to the user: { update(content, jobId), finish(payload) }.
+ * Validation errors and guild rules are reported right away instead of after waiting in the queue.
+ * A `restored` job was counted towards the daily quota before the restart.
+ */
+export async function submitVocode(request, responder, { restored = false } = {}) {
+  let prepared;
+  let job;
+  let reserved = false;                                     // Counted towards the daily quota
+  let startedAt = null;                                     // Set when a worker picks the job up
+  try {
+    const config = await getGuildConfig(request.guildId);
+    checkAccess(request, config);                           // Channel and role
+    prepared = await prepareVocode(request);                // Validate before queueing
+    if (request.guildId && !restored) {
+      await reserveDailyJob({ guildId: request.guildId, userId: request.userId, quota: config.dailyQuota });
+      reserved = true;
+    }
+    const maxSeconds = maxInputSeconds(config);
+    job = getQueue().enqueue({
+      userId: request.userId,
+      data: request,                                        // Persisted if the bot stops
+      onPosition: (position, queued) =>
+        position > 0 && responder.update(`⏳ Queued, position **${position}**...`, queued.id), // Started jobs report their own steps
+      run: (signal, running) => {
+        startedAt = Date.now();
+        return runVocode(prepared, { signal, maxSeconds, update: (text) => responder.update(text, running.id) });
+      }
+    });
+  } catch (err) {                                           // Rejected before queueing
+    if (reserved) {
+      await releaseDailyJob({ guildId: request.guildId, userId: request.userId })
+        .catch((e) => log.warn("Could not release quota", { guildId: request.guildId, err: e }));
+    }
+    const code = err.code ?? "INVALID_REQUEST";             // Validation errors have no code
+    log.info("Request rejected", { userId: request.userId, guildId: request.guildId, code, reason: err.message });
+    await recordOutcome(request, "rejected", { code });
+    await responder.finish({ content: `❌ Error: ${err.message}`, files: [] });
+    return;
+  }
+
+  try {
+    const payload = await job.promise;                      // Result files
+    await recordOutcome(request, "succeeded", { renderMs: Date.now() - startedAt });
+    await responder.finish(payload);
+  } catch (err) {
+    const cancelled = err.code === "JOB_CANCELLED";
+    await recordOutcome(request, cancelled ? "cancelled" : "failed", { code: err.code });
+    if (!cancelled) log.error("Job failed", { jobId: job.id, userId: request.userId, guildId: request.guildId, err });
+    const content = QUEUE_ERRORS.includes(err.code)
+      ? `${err.code === "JOB_CANCELLED" ? "🛑" : "⌛"} ${err.message}`
+      : `❌ Error: ${err.message}`;
+    await responder.finish({ content, files: [] });
+  }
+}
+
+// RESPONDERS
+// Reply through the deferred interaction; falls back to the channel once the token expires (15 min)
+export function interactionResponder(interaction) {
+  return {
+    update: (content, jobId) => interaction.editReply({ content, components: jobId ? [cancelRow(jobId)] : [] }),
+    finish: async (payload) => {
+      try {
+        await interaction.editReply({ ...payload, components: payload.components ?? [] }); // Result buttons replace Cancel
+      } catch (e) {
+        await interaction.channel?.send({ ...payload, content: `${interaction.user} ${payload.content}` });
+      }
+    }
+  };
+}
+
+// Reply with a channel message (used for jobs restored after a restart)
+export function channelResponder(channel, userId) {
+  let message = null;                                       // Status message, edited in place
+  const post = async (body) => {
+    message = message ? await message.edit(body) : await channel.send(body);
+  };
+  return {
+    update: (content, jobId) => post({ content: `<@${userId}> ${content}`, components: jobId ? [cancelRow(jobId)] : [] }),
+    finish: (payload) => post({ ...payload, content: `<@${userId}> ${payload.content}`, components: payload.components ?? [] })
+  };
+}
+
+// CANCELLATION
+export async function handleCancelButton(interaction) {
+  const jobId = interaction.customId.slice(CANCEL_BUTTON_ID.length + 1);
+  if (!getQueue().cancel(jobId, interaction.user.id)) {
+    await interaction.reply({ content: "❌ You can only cancel your own jobs that are still running.", ephemeral: true });
+    return;
+  }
+  await interaction.deferUpdate();                          // The job's reply shows the cancellation
+}
+
+export async function handleCancelCommand(interaction) {
+  const count = getQueue().cancelUserJobs(interaction.user.id);
+  await interaction.reply({
+    content: count ? `🛑 Cancelled ${count} job${count === 1 ? "" : "s"}.` : "You have no queued or running jobs.",
+    ephemeral: true
+  });
+}
+
+// PERSISTENCE
+// Saves unfinished jobs; call once on shutdown
+export async function persistPendingJobs() {
+  const jobs = getQueue().shutdown();
+  await pendingStore.update((data) => {
+    data.jobs = jobs;
+  });
+  return jobs.length;
+}
+
+// Re-queues jobs saved by persistPendingJobs, notifying each user in the original channel
+export async function restorePendingJobs(client) {
+  const jobs = await pendingStore.update((data) => data.jobs.splice(0)); // Take and clear
+
+  for (const request of jobs) {
+    try {
+      const channel = await client.channels.fetch(request.channelId);
+      const responder = channelResponder(channel, request.userId);
+      await responder.update("♻️ The bot restarted while your /vocode job was waiting. Retrying it now...");
+      submitVocode(request, responder, { restored: true }).catch((err) => { // Runs in the background
+        log.warn("Restored job failed", { userId: request.userId, channelId: request.channelId, err });
+      });
+    } catch (err) {
+      log.warn("Could not restore job", { userId: request.userId, channelId: request.channelId, err });
+    }
+  }
+  return jobs.length;
+}
+
+// Usage stats are per guild; a failed write is logged, never reported to the user
+async function recordOutcome(request, outcome, { renderMs, code } = {}) {
+  if (!request.guildId) return;                             // DMs
+  await recordJob({ guildId: request.guildId, userId: request.userId, outcome, renderMs, code })
+    .catch((err) => log.warn("Could not record usage", { guildId: request.guildId, err }));
+}
+
+// HELPER FUNCTIONS
+function cancelRow(jobId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CANCEL_BUTTON_ID}:${jobId}`).setLabel("Cancel").setStyle(ButtonStyle.Danger)
+  );
+}
@@ -0,0 +1,100 @@
+/**
+ * ffmpeg.js
+ *
+ * Shared FFmpeg setup for media conversion.
+ * Points fluent-ffmpeg at the bundled static binaries, owns the temp directory
+ * and runs commands with a watchdog so a hung FFmpeg process is killed.
+ */
+
+import ffmpeg from "fluent-ffmpeg";                              // FFmpeg wrapper
+import ffmpegPath from "ffmpeg-static";                          // Static FFmpeg binary
+import ffprobeStatic from "ffprobe-static";                      // Static FFprobe binary
+import path from "path";                                         // Path utilities
+import { execFile } from "child_process";                        // FFprobe process
+import { readIntEnv } from "../utils/env.js";                   // Numeric settings
+
+ffmpeg.setFfmpegPath(ffmpegPath);                                // Set FFmpeg binary path
+ffmpeg.setFfprobePath(ffprobeStatic.path);                       // Set FFprobe binary path
+
+export const TEMP_DIR = path.join(process.cwd(), "temp");        // Temporary directory for media files
+
+/**
+ * Saves `command` to `outputPath`. The process is killed when it runs longer than
+ * FFMPEG_TIMEOUT_SECONDS or when `signal` aborts.
+ */
+export function runFfmpeg(command, outputPath, { signal } = {}) {
+  const timeoutSeconds = readIntEnv("FFMPEG_TIMEOUT_SECONDS", 120);
+
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    let killedFor = null;                                   // "timeout" | "abort"
+    let started = false;                                    // fluent-ffmpeg probes capabilities before spawning
+    const kill = (reason) => {
+      killedFor ??= reason;
+      if (started) command.kill("SIGKILL");                 // Hung or cancelled; otherwise sent on "start"
+    };
+    const timer = setTimeout(() => kill("timeout"), timeoutSeconds * 1000);
+    const onAbort = () => kill("abort");
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+
+    command
+      .on("start", () => {
+        started = true;
+        if (killedFor) command.kill("SIGKILL");             // Aborted or timed out before the process existed
+      })
+      .on("error", (err) => {
+        settle();
+        if (killedFor === "abort") reject(signal.reason);
+        else if (killedFor === "timeout") {
+          reject(mediaError(`Processing the file took longer than ${timeoutSeconds} s and was stopped.`, "FFMPEG_TIMEOUT"));
+        } else reject(err);
+      })
+      .on("end", () => {
+        settle();
+        resolve();
+      })
+      .save(outputPath);                                    // Start FFmpeg
+  });
+}
+
+/**
+ * Reads the streams and format of `inputPath` with FFprobe; resolves with its parsed JSON output.
+ * Same watchdog as runFfmpeg: killed after FFMPEG_TIMEOUT_SECONDS or when `signal` aborts.
+ */
+export function runFfprobe(inputPath, { signal } = {}) {
+  const timeoutSeconds = readIntEnv("FFMPEG_TIMEOUT_SECONDS", 120);
+  const args = ["-v", "error", "-print_format", "json", "-show_streams", "-show_format", inputPath];
+
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    execFile(
+      ffprobeStatic.path,
+      args,
+      { timeout: timeoutSeconds * 1000, killSignal: "SIGKILL", signal, maxBuffer: 16 * 1024 * 1024 },
+      (err, stdout) => {
+        if (signal?.aborted) reject(signal.reason);         // Cancelled
+        else if (err?.killed) {
+          reject(mediaError(`Reading the file took longer than ${timeoutSeconds} s and was stopped.`, "FFMPEG_TIMEOUT"));
+        } else if (err) reject(err);
+        else {
+          try {
+            resolve(JSON.parse(stdout));
+          } catch (e) {
+            reject(e);                                      // Not JSON: unreadable input
+          }
+        }
+      }
+    );
+  });
+}
+
+// Errors carry a `code` so callers can tell media failures apart
+export function mediaError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+export default ffmpeg;
@@ -0,0 +1,168 @@
+/**
+ * mediaInput.js
+ *
+ * Downloads attachments and normalizes any audio/video input to a 48 kHz WAV buffer with FFmpeg.
+ * Inputs are checked before decoding: attachment size, download time, a readable
+ * audio stream and the media duration (limits in .env.example).
+ */
+
+import { promises as fs, createWriteStream } from "fs";          // File system APIs
+import { Transform } from "stream";                              // Byte counter
+import { pipeline } from "stream/promises";                      // Streamed download
+import path from "path";                                         // Path utilities
+import { v4 as uuidv4 } from "uuid";                             // For generating unique filenames
+import fetch from "node-fetch";                                  // For fetching audio files
+import ffmpeg, { TEMP_DIR, runFfmpeg, runFfprobe, mediaError } from "./ffmpeg.js"; // Configured FFmpeg
+import { readIntEnv } from "../utils/env.js";                   // Numeric settings
+
+const { unlink, readFile } = fs;
+
+/**
+ * Current input limits: { maxBytes, maxSeconds, downloadTimeoutMs }.
+ */
+export function getInputLimits() {
+  return {
+    maxBytes: readIntEnv("MAX_INPUT_MB", 25) * 1024 * 1024,
+    maxSeconds: readIntEnv("MAX_INPUT_SECONDS", 300),
+    downloadTimeoutMs: readIntEnv("DOWNLOAD_TIMEOUT_SECONDS", 60) * 1000
+  };
+}
+
+/**
+ * Rejects an attachment from its reported size, before anything is downloaded.
+ * `label` names the file in the message ("modulator", "carrier").
+ */
+export function checkAttachmentSize(attachment, label = "file") {
+  const { maxBytes } = getInputLimits();
+  if (attachment.size > maxBytes) {
+    throw mediaError(
+      `The ${label} is ${toMb(attachment.size)} MB, the limit is ${toMb(maxBytes)} MB.`,
+      "INPUT_TOO_LARGE"
+    );
+  }
+}
+
+// DOWNLOAD ATTACHMENT TO A TEMP FILE
+export async function downloadToTemp(attachmentUrl, originalFilename, { signal, label = "file" } = {}) {
+  const { maxBytes, downloadTimeoutMs } = getInputLimits();
+  const uniqueId = uuidv4();                                // Unique ID for temp files
+  const ext = path.extname(originalFilename);               // Original file extension
+  const inputPath = path.join(TEMP_DIR, `raw_${uniqueId}${ext}`); // Temp input file path
+
+  // Abort on timeout or when the job is cancelled
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), downloadTimeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const res = await fetch(attachmentUrl, { signal: controller.signal }); // Fetch the attachment
+    if (!res.ok) {
+      throw mediaError(`Could not download the ${label} (HTTP ${res.status}). Try uploading it again.`, "DOWNLOAD_FAILED");
+    }
+    if (Number(res.headers.get("content-length")) > maxBytes) {
+      throw mediaError(`The ${label} is larger than ${toMb(maxBytes)} MB.`, "INPUT_TOO_LARGE");
+    }
+
+    // Stream to disk, stopping as soon as the size limit is passed
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, _enc, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          callback(mediaError(`The ${label} is larger than ${toMb(maxBytes)} MB.`, "INPUT_TOO_LARGE"));
+        } else callback(null, chunk);
+      }
+    });
+    await pipeline(res.body, limiter, createWriteStream(inputPath)); // Save to temp input file
+    return inputPath;                                       // Caller owns the file
+  } catch (err) {
+    await unlink(inputPath).catch(() => {});                // Partial download
+    if (signal?.aborted) throw signal.reason;               // Job cancelled
+    if (controller.signal.aborted || err.name === "AbortError") {
+      throw mediaError(`Downloading the ${label} took longer than ${downloadTimeoutMs / 1000} s.`, "DOWNLOAD_TIMEOUT");
+    }
+    if (err.code) throw err;                                // Already friendly
+    throw mediaError(`Could not download the ${label}. Try uploading it again.`, "DOWNLOAD_FAILED");
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Reads duration and stream types with ffprobe (killed when it hangs or `signal` aborts).
+ * Returns { duration (seconds or null), hasAudio, hasVideo }.
+ */
+export async function probeMedia(inputPath, { label = "file", signal } = {}) {
+  let data;
+  try {
+    data = await runFfprobe(inputPath, { signal });
+  } catch (err) {
+    if (signal?.aborted || err.code === "FFMPEG_TIMEOUT") throw err;
+    throw mediaError(`The ${label} could not be read as audio or video.`, "INPUT_UNREADABLE");
+  }
+  const streams = data.streams ?? [];
+  const duration = Number.parseFloat(data.format?.duration); // "N/A" for some streams
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    hasAudio: streams.some((s) => s.codec_type === "audio"),
+    hasVideo: streams.some((s) => s.codec_type === "video")
+  };
+}
+
+/**
+ * Probes a file and rejects it when it has no audio or is longer than `maxSeconds`
+ * (default MAX_INPUT_SECONDS; guilds can set a lower limit).
+ */
+export async function validateMedia(inputPath, { label = "file", maxSeconds = getInputLimits().maxSeconds, signal } = {}) {
+  const info = await probeMedia(inputPath, { label, signal });
+  if (!info.hasAudio) {
+    throw mediaError(`The ${label} has no audio track.`, "INPUT_NO_AUDIO");
+  }
+  if (info.duration !== null && info.duration > maxSeconds) {
+    throw mediaError(
+      `The ${label} is ${formatDuration(info.duration)} long, the limit is ${formatDuration(maxSeconds)}.`,
+      "INPUT_TOO_LONG"
+    );
+  }
+  return info;
+}
+
+// CONVERT A LOCAL MEDIA FILE TO WAV BUFFER (input file is left in place)
+export async function convertToWav(inputPath, { signal, label = "file", maxSeconds = getInputLimits().maxSeconds } = {}) {
+  await validateMedia(inputPath, { label, maxSeconds, signal });        // Reject before decoding
+  const outputPath = path.join(TEMP_DIR, `clean_${uuidv4()}.wav`); // Temp output WAV file path
+
+  try {
+    const command = ffmpeg(inputPath)
+      .toFormat('wav')                                      // Convert to WAV format
+      .audioFrequency(48000)                                // Standardize sample rate
+      .duration(maxSeconds);                                // Hard cap when the probe had no duration
+    await runFfmpeg(command, outputPath, { signal });       // Killed if it hangs
+    return await readFile(outputPath);                      // Read converted WAV file
+  } finally {
+    await unlink(outputPath).catch(() => {});               // Clean up output file
+  }
+}                                                           // End of convertToWav function
+
+// CONVERT ANY MEDIA TO WAV BUFFER
+export async function downloadAndConvert(attachmentUrl, originalFilename, options = {}) {
+  const inputPath = await downloadToTemp(attachmentUrl, originalFilename, options);
+  try {
+    return await convertToWav(inputPath, options);          // Converted WAV buffer
+  } finally {
+    await unlink(inputPath).catch(() => {});                // Clean up input file
+  }
+}                                                           // End of downloadAndConvert function
+
+// HELPER FUNCTIONS
+function toMb(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+function formatDuration(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.round(seconds % 60);
+  return m > 0 ? `${m} min ${s} s` : `${s} s`;
+}
@@ -0,0 +1,133 @@
+/**
+ * outputEncoder.js
+ *
+ * Encodes rendered WAV buffers to the requested delivery format (WAV, MP3, OGG/Opus, FLAC).
+ * Falls back to smaller compressed formats when a file would exceed the upload limit.
+ */
+
+import { promises as fs } from "fs";                             // File system promises API
+import path from "path";                                         // Path utilities
+import { v4 as uuidv4 } from "uuid";                             // For generating unique filenames
+import ffmpeg, { TEMP_DIR, runFfmpeg } from "./ffmpeg.js";       // Configured FFmpeg
+
+const { writeFile, readFile, unlink } = fs;
+
+// Supported Formats
+export const OUTPUT_FORMATS = {
+  wav: { ext: "wav", label: "WAV" },
+  mp3: { ext: "mp3", label: "MP3", codec: "libmp3lame", bitrates: [64, 96, 128, 160, 192, 256, 320], defaultBitrate: 192 },
+  ogg: { ext: "ogg", label: "OGG/Opus", codec: "libopus", bitrates: [64, 96, 128, 160, 192, 256], defaultBitrate: 128 },
+  flac: { ext: "flac", label: "FLAC", codec: "flac" }
+};
+
+export const BITRATES = [64, 96, 128, 160, 192, 256, 320];      // All selectable bitrates (kbps)
+export const DEFAULT_UPLOAD_LIMIT = 10 * 1024 * 1024;            // Discord's base upload limit (10 MiB)
+
+// Tried in order when the requested format is too large
+const FALLBACK_CHAIN = [
+  { format: "mp3", bitrate: 192 },
+  { format: "mp3", bitrate: 128 },
+  { format: "ogg", bitrate: 96 },
+  { format: "ogg", bitrate: 64 }
+];
+
+/**
+ * Validates a format/bitrate pair and fills the default bitrate.
+ * Throws an Error with a user-facing message on invalid values.
+ */
+export function resolveOutputOptions({ format = "wav", bitrate } = {}) {
+  const spec = OUTPUT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown output format "${format}".`);
+
+  if (!spec.bitrates) {
+    if (bitrate != null) throw new Error(`${spec.label} is lossless and has no bitrate setting.`);
+    return { format, bitrate: null };                       // Lossless
+  }
+
+  const kbps = bitrate ?? spec.defaultBitrate;
+  if (!spec.bitrates.includes(kbps)) {
+    throw new Error(`${spec.label} bitrate must be one of ${spec.bitrates.join(", ")} kbps.`);
+  }
+  return { format, bitrate: kbps };                         // Validated options
+}
+
+/**
+ * Encodes a WAV buffer to `format`. `signal` stops FFmpeg when the job is cancelled.
+ * Returns { buffer, format, bitrate, ext }.
+ */
+export async function encodeOutput(wavBuffer, { signal, ...options } = {}) {
+  const { format, bitrate } = resolveOutputOptions(options);
+  const spec = OUTPUT_FORMATS[format];
+  if (format === "wav") return { buffer: wavBuffer, format, bitrate, ext: spec.ext }; // Already WAV
+
+  const buffer = await encodeWithFfmpeg(wavBuffer, spec.ext, (command) => {
+    command.audioCodec(spec.codec);                         // Target codec
+    if (bitrate) command.audioBitrate(bitrate);             // Lossy formats only
+  }, signal);
+  return { buffer, format, bitrate, ext: spec.ext };
+}
+
+/**
+ * Cuts `seconds` of audio starting at `start` (seconds) into a short MP3 preview
+ * with a fade at both ends. Returns { buffer, ext }.
+ */
+export async function encodePreviewClip(wavBuffer, { start = 0, seconds, signal } = {}) {
+  const fade = Math.min(0.5, seconds / 4);                  // Avoid a hard cut
+  const buffer = await encodeWithFfmpeg(wavBuffer, "mp3", (command) => {
+    command
+      .setStartTime(start)
+      .duration(seconds)
+      .audioFilters([`afade=t=in:d=${fade}`, `afade=t=out:st=${seconds - fade}:d=${fade}`])
+      .audioCodec("libmp3lame")
+      .audioBitrate(128);
+  }, signal);
+  return { buffer, ext: "mp3" };
+}
+
+/**
+ * Encodes for a Discord upload. If the requested format is larger than `maxBytes`,
+ * steps down FALLBACK_CHAIN until a result fits.
+ * Returns { buffer, format, bitrate, ext, fallback }.
+ */
+export async function encodeForUpload(wavBuffer, { format, bitrate, maxBytes = DEFAULT_UPLOAD_LIMIT, signal } = {}) {
+  const requested = await encodeOutput(wavBuffer, { format, bitrate, signal });
+  if (requested.buffer.length <= maxBytes) return { ...requested, fallback: false };
+
+  for (const candidate of FALLBACK_CHAIN) {
+    if (isSameOrLarger(candidate, requested)) continue;     // Would not be smaller
+    const encoded = await encodeOutput(wavBuffer, { ...candidate, signal });
+    if (encoded.buffer.length <= maxBytes) return { ...encoded, fallback: true };
+  }
+
+  throw new Error(
+    `The result is too large to upload (limit ${formatBytes(maxBytes)}), even compressed. Try a shorter clip.`
+  );
+}
+
+// HELPER FUNCTIONS
+// Writes the WAV to a temp file, lets `configure` set up the FFmpeg command and returns the encoded bytes
+async function encodeWithFfmpeg(wavBuffer, ext, configure, signal) {
+  const uniqueId = uuidv4();                                // Unique ID for temp files
+  const inputPath = path.join(TEMP_DIR, `render_${uniqueId}.wav`);
+  const outputPath = path.join(TEMP_DIR, `encoded_${uniqueId}.${ext}`);
+  await writeFile(inputPath, wavBuffer);                    // Save render to temp input file
+
+  try {
+    const command = ffmpeg(inputPath);
+    configure(command);
+    await runFfmpeg(command, outputPath, { signal });       // Save encoded file
+    return await readFile(outputPath);                      // Read encoded file
+  } finally {
+    await unlink(inputPath).catch(() => {});                // Ignore unlink errors
+    await unlink(outputPath).catch(() => {});
+  }
+}
+
+function isSameOrLarger(candidate, requested) {
+  if (!requested.bitrate) return false;                     // Lossless is always larger
+  return candidate.bitrate >= requested.bitrate;
+}
+
+export function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;        // Human readable size
+}
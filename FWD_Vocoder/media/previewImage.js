@@ -0,0 +1,277 @@
+/**
+ * previewImage.js
+ *
+ * Draws the before/after preview PNG: a waveform and a log-frequency spectrogram
+ * per track, with the vocoder's band centers marked on the frequency axis.
+ * Pure JavaScript (zlib for PNG compression), so it runs on any server.
+ */
+
+import zlib from "zlib";                                         // PNG compression
+
+const WIDTH = 800;                                               // Image width (px)
+const LEFT = 44;                                                 // Frequency labels column
+const RIGHT = 8;
+const PLOT_WIDTH = WIDTH - LEFT - RIGHT;
+const TITLE_HEIGHT = 14;
+const WAVE_HEIGHT = 48;
+const SPEC_HEIGHT = 120;
+const PANEL_GAP = 12;
+const PANEL_HEIGHT = TITLE_HEIGHT + WAVE_HEIGHT + 4 + SPEC_HEIGHT + PANEL_GAP;
+
+const FFT_SIZE = 2048;                                           // ~23 Hz bins at 48 kHz
+const MIN_FREQ = 40;                                             // Bottom of the frequency axis (Hz)
+const DYNAMIC_RANGE = 80;                                        // dB shown below each panel's peak
+const LABEL_SPACING = 12;                                        // Minimum px between band labels
+
+const BACKGROUND = [18, 18, 24];
+const WAVE_COLOR = [110, 200, 255];
+const TEXT_COLOR = [230, 230, 235];
+const BAND_COLOR = [120, 255, 160];
+
+// Spectrogram color map stops (quiet -> loud)
+const COLOR_STOPS = [
+  [0, 0, 0],
+  [40, 10, 90],
+  [180, 40, 90],
+  [250, 140, 30],
+  [255, 250, 180]
+];
+
+/**
+ * Renders a preview image for `tracks` ([{ label, samples, sampleRate }], mono Float32Arrays).
+ * `bands` are the band-center frequencies in Hz, marked on every spectrogram.
+ * Returns a PNG Buffer.
+ */
+export function renderPreviewImage(tracks, { bands = [] } = {}) {
+  const height = PANEL_HEIGHT * tracks.length + 8;
+  const image = createImage(WIDTH, height);
+
+  tracks.forEach((track, i) => {
+    const top = 8 + i * PANEL_HEIGHT;
+    drawText(image, track.label, LEFT, top + 2, TEXT_COLOR);
+    drawWaveform(image, track.samples, top + TITLE_HEIGHT);
+    drawSpectrogram(image, track, top + TITLE_HEIGHT + WAVE_HEIGHT + 4, bands);
+  });
+
+  return encodePng(image);
+}
+
+// PANELS
+function drawWaveform(image, samples, top) {
+  const mid = top + WAVE_HEIGHT / 2;
+  const scale = Math.max(peak(samples), 1e-6);              // Fit the loudest sample
+  for (let x = 0; x < PLOT_WIDTH; x++) {
+    const start = Math.floor((x * samples.length) / PLOT_WIDTH);
+    const end = Math.max(start + 1, Math.floor(((x + 1) * samples.length) / PLOT_WIDTH));
+    let min = 0;
+    let max = 0;
+    for (let i = start; i < end && i < samples.length; i++) {
+      min = Math.min(min, samples[i]);
+      max = Math.max(max, samples[i]);
+    }
+    const y1 = Math.round(mid - (max / scale) * (WAVE_HEIGHT / 2 - 1));
+    const y2 = Math.round(mid - (min / scale) * (WAVE_HEIGHT / 2 - 1));
+    for (let y = y1; y <= y2; y++) setPixel(image, LEFT + x, y, WAVE_COLOR);
+  }
+}
+
+function drawSpectrogram(image, { samples, sampleRate }, top, bands) {
+  const maxFreq = Math.min(20000, sampleRate / 2);
+  const rowBins = frequencyRows(sampleRate, maxFreq);       // FFT bin range per pixel row
+  const levels = new Float32Array(PLOT_WIDTH * SPEC_HEIGHT);
+  const window = hannWindow(FFT_SIZE);
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  let loudest = -Infinity;
+
+  for (let x = 0; x < PLOT_WIDTH; x++) {
+    const center = Math.floor(((x + 0.5) * samples.length) / PLOT_WIDTH);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const s = center - FFT_SIZE / 2 + i;
+      re[i] = s >= 0 && s < samples.length ? samples[s] * window[i] : 0; // Zero-padded at the edges
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let y = 0; y < SPEC_HEIGHT; y++) {
+      let power = 0;
+      for (let bin = rowBins[y][0]; bin <= rowBins[y][1]; bin++) {
+        power = Math.max(power, re[bin] * re[bin] + im[bin] * im[bin]);
+      }
+      const db = 10 * Math.log10(power + 1e-12);
+      levels[y * PLOT_WIDTH + x] = db;
+      loudest = Math.max(loudest, db);
+    }
+  }
+
+  for (let y = 0; y < SPEC_HEIGHT; y++) {
+    for (let x = 0; x < PLOT_WIDTH; x++) {
+      const level = 1 + (levels[y * PLOT_WIDTH + x] - loudest) / DYNAMIC_RANGE; // 0..1 (clamped below)
+      setPixel(image, LEFT + x, top + y, colorMap(level));
+    }
+  }
+
+  // Band centers: ticks on the axis, labels where they don't overlap
+  let lastLabel = -Infinity;
+  for (const freq of [...bands].sort((a, b) => b - a)) {   // Top (high) to bottom
+    const y = top + frequencyToRow(freq, maxFreq);
+    if (y < top || y >= top + SPEC_HEIGHT) continue;
+    for (let x = LEFT - 5; x < LEFT; x++) setPixel(image, x, y, BAND_COLOR);
+    if (y - lastLabel >= LABEL_SPACING) {
+      drawText(image, formatFrequency(freq), 2, Math.min(y - 2, top + SPEC_HEIGHT - 5), BAND_COLOR, 1);
+      lastLabel = y;
+    }
+  }
+}
+
+// FREQUENCY AXIS (log scale, high frequencies at the top)
+function frequencyToRow(freq, maxFreq) {
+  const t = Math.log(freq / MIN_FREQ) / Math.log(maxFreq / MIN_FREQ); // 0 (bottom) .. 1 (top)
+  return Math.round((1 - t) * (SPEC_HEIGHT - 1));
+}
+
+function frequencyRows(sampleRate, maxFreq) {
+  const binWidth = sampleRate / FFT_SIZE;
+  const rowFreq = (row) => MIN_FREQ * Math.pow(maxFreq / MIN_FREQ, 1 - row / SPEC_HEIGHT);
+  return Array.from({ length: SPEC_HEIGHT }, (_, y) => {
+    const high = Math.min(FFT_SIZE / 2, Math.round(rowFreq(y) / binWidth));
+    const low = Math.min(high, Math.round(rowFreq(y + 1) / binWidth));
+    return [low, high];                                     // Every bin the row covers
+  });
+}
+
+function formatFrequency(freq) {
+  if (freq < 1000) return String(Math.round(freq));
+  return `${Number((freq / 1000).toFixed(freq < 10000 ? 1 : 0))}k`; // 1.5k, 12k
+}
+
+// DSP
+const TWIDDLE_RE = Float64Array.from({ length: FFT_SIZE / 2 }, (_, k) => Math.cos((-2 * Math.PI * k) / FFT_SIZE));
+const TWIDDLE_IM = Float64Array.from({ length: FFT_SIZE / 2 }, (_, k) => Math.sin((-2 * Math.PI * k) / FFT_SIZE));
+
+// In-place radix-2 FFT of FFT_SIZE points
+function fft(re, im) {
+  const n = FFT_SIZE;
+  for (let i = 1, j = 0; i < n; i++) {                      // Bit-reversal permutation
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {               // Butterflies
+    const step = n / size;                                  // Twiddle table stride
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const wr = TWIDDLE_RE[k * step];
+        const wi = TWIDDLE_IM[k * step];
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+function hannWindow(size) {
+  return Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1)));
+}
+
+function peak(samples) {
+  let max = 0;
+  for (let i = 0; i < samples.length; i++) max = Math.max(max, Math.abs(samples[i]));
+  return max;
+}
+
+function colorMap(level) {
+  const t = Math.min(1, Math.max(0, level)) * (COLOR_STOPS.length - 1);
+  const i = Math.min(COLOR_STOPS.length - 2, Math.floor(t));
+  const frac = t - i;
+  return COLOR_STOPS[i].map((c, k) => Math.round(c + (COLOR_STOPS[i + 1][k] - c) * frac));
+}
+
+// DRAWING
+function createImage(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(BACKGROUND, i);
+  return { width, height, pixels };
+}
+
+function setPixel(image, x, y, color) {
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+  image.pixels.set(color, (y * image.width + x) * 3);
+}
+
+// 3x5 pixel font, enough for panel titles and frequency labels
+const FONT = {
+  "0": "111101101101111", "1": "010110010010111", "2": "111001111100111", "3": "111001111001111",
+  "4": "101101111001001", "5": "111100111001111", "6": "111100111101111", "7": "111001001001001",
+  "8": "111101111101111", "9": "111101111001111", A: "010101111101101", B: "110101110101110",
+  C: "011100100100011", D: "110101101101110", E: "111100110100111", H: "101101111101101",
+  I: "111010010010111", K: "101101110101101", L: "100100100100111", M: "101111111101101",
+  N: "110101101101101", O: "010101101101010", P: "110101110100100", R: "110101110101101",
+  S: "011100010001110", T: "111010010010010", U: "101101101101111", W: "101101111111101",
+  Z: "111001010100111", ".": "000000000000010", "-": "000000111000000", " ": "000000000000000"
+};
+
+function drawText(image, text, x, y, color, scale = 2) {
+  for (const char of String(text).toUpperCase()) {
+    const glyph = FONT[char] ?? FONT[" "];
+    for (let i = 0; i < 15; i++) {
+      if (glyph[i] !== "1") continue;
+      for (let dy = 0; dy < scale; dy++) {
+        for (let dx = 0; dx < scale; dx++) setPixel(image, x + (i % 3) * scale + dx, y + Math.floor(i / 3) * scale + dy, color);
+      }
+    }
+    x += 4 * scale;                                         // Glyph + 1px spacing
+  }
+}
+
+// PNG ENCODING (8-bit RGB, no filtering)
+function encodePng({ width, height, pixels }) {
+  const rowLength = width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLength + 1)] = 0;                           // Filter type: none
+    pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);                           // Bit depth 8, RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), // PNG signature
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
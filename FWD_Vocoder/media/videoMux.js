@@ -0,0 +1,80 @@
+/**
+ * videoMux.js
+ *
+ * Puts vocoded audio back onto the original video stream.
+ * Output is an MP4 (H.264 + AAC) trimmed to the rendered audio length.
+ */
+
+import { promises as fs } from "fs";                             // File system promises API
+import path from "path";                                         // Path utilities
+import { v4 as uuidv4 } from "uuid";                             // For generating unique filenames
+import decodeAudio from "audio-decode";                          // For reading the render length
+import ffmpeg, { TEMP_DIR, runFfmpeg } from "./ffmpeg.js";       // Configured FFmpeg
+import { DEFAULT_UPLOAD_LIMIT, formatBytes } from "./outputEncoder.js";
+
+const { writeFile, readFile, unlink } = fs;
+
+const AUDIO_BITRATE = 192;                                       // AAC bitrate (kbps)
+const MIN_VIDEO_BITRATE = 100;                                   // Below this the video is unwatchable (kbps)
+
+/**
+ * Muxes `wavBuffer` onto the first video stream of `videoPath`.
+ * Re-encodes once at a lower video bitrate if the result exceeds `maxBytes`.
+ * `signal` stops FFmpeg when the job is cancelled.
+ * Returns { buffer, ext, reencoded }.
+ */
+export async function muxVideo(videoPath, wavBuffer, { maxBytes = DEFAULT_UPLOAD_LIMIT, signal } = {}) {
+  const decoded = await decodeAudio(wavBuffer);              // Decode render for its length
+  const duration = decoded.length / decoded.sampleRate;      // Trim target (seconds)
+
+  const buffer = await encodeMp4(videoPath, wavBuffer, duration, { signal }); // Quality-based first pass
+  if (buffer.length <= maxBytes) return { buffer, ext: "mp4", reencoded: false };
+
+  // Bitrate that fits the limit (5% container headroom)
+  const totalKbps = (maxBytes * 8 * 0.95) / duration / 1000;
+  const videoKbps = Math.floor(totalKbps - AUDIO_BITRATE);
+  if (videoKbps < MIN_VIDEO_BITRATE) {
+    throw new Error(`The video is too long to fit the ${formatBytes(maxBytes)} upload limit. Try a shorter clip.`);
+  }
+
+  const smaller = await encodeMp4(videoPath, wavBuffer, duration, { videoKbps, signal }); // Size-targeted pass
+  if (smaller.length > maxBytes) {
+    throw new Error(`The video result is over the ${formatBytes(maxBytes)} upload limit. Try a shorter clip.`);
+  }
+  return { buffer: smaller, ext: "mp4", reencoded: true };
+}
+
+// FFMPEG MUX
+async function encodeMp4(videoPath, wavBuffer, duration, { videoKbps = null, signal } = {}) {
+  const uniqueId = uuidv4();                                // Unique ID for temp files
+  const audioPath = path.join(TEMP_DIR, `mux_${uniqueId}.wav`);
+  const outputPath = path.join(TEMP_DIR, `mux_${uniqueId}.mp4`);
+  await writeFile(audioPath, wavBuffer);                    // Save render to temp file
+
+  try {
+    const command = ffmpeg()
+      .input(videoPath)
+      .input(audioPath)
+      .outputOptions([
+        "-map 0:v:0",                                       // Original picture
+        "-map 1:a:0",                                       // Vocoded sound
+        `-t ${duration.toFixed(3)}`,                        // Trim to render length
+        "-vf scale=trunc(iw/2)*2:trunc(ih/2)*2",            // H.264 needs even dimensions
+        "-pix_fmt yuv420p",                                 // Widest player support
+        "-preset veryfast",
+        "-movflags +faststart"                              // Playable while downloading
+      ])
+      .videoCodec("libx264")
+      .audioCodec("aac")
+      .audioBitrate(AUDIO_BITRATE);
+
+    if (videoKbps) command.videoBitrate(videoKbps);         // Size-targeted
+    else command.outputOptions("-crf 23");                  // Quality-targeted
+
+    await runFfmpeg(command, outputPath, { signal });       // Save MP4
+    return await readFile(outputPath);                      // Read muxed file
+  } finally {
+    await unlink(audioPath).catch(() => {});                // Ignore unlink errors
+    await unlink(outputPath).catch(() => {});
+  }
+}
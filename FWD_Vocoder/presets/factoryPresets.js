@@ -0,0 +1,51 @@
+/**
+ * factoryPresets.js
+ *
+ * Built-in presets shipped with the bot.
+ * Values use the /vocode option names (see vocoder/params.js).
+ */
+
+export const FACTORY_PRESETS = {
+  Daft: {
+    carrier_preset: "sawtooth",
+    chord: "C3 G3 C4",
+    bands: 24,
+    width: 40,
+    attack_ms: 5,
+    release_ms: 40
+  },                                                             // Bright, tight talk-box style robot
+  Dalek: {
+    carrier_preset: "square",
+    chord: "A1",
+    bands: 8,
+    width: 20,
+    attack_ms: 2,
+    release_ms: 20
+  },                                                             // Low, buzzy and metallic
+  Choir: {
+    carrier_preset: "supersaw",
+    chord: "C3 E3 G3 C4 detune=25",
+    bands: 32,
+    width: 60,
+    stereo: true,
+    spread: 70,
+    attack_ms: 20,
+    release_ms: 120
+  },                                                             // Wide, lush chord pad
+  Whisper: {
+    carrier_preset: "pink",
+    bands: 32,
+    width: 80,
+    max_freq: 12000,
+    attack_ms: 5,
+    release_ms: 60
+  },                                                             // Breathy noise carrier
+  Melody: {
+    carrier_preset: "sawtooth",
+    key: "chromatic",
+    bands: 24,
+    width: 40,
+    attack_ms: 5,
+    release_ms: 40
+  }                                                              // Follows the melody, snapped to semitones
+};
@@ -0,0 +1,195 @@
+/**
+ * presetCommand.js
+ *
+ * /preset command group: save, load, list, delete and share named vocoder parameter sets.
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from "discord.js"; // Discord.js v14
+import { addParamOptions, readParams, validateParams, formatParams } from "../vocoder/params.js";
+import {
+  findPreset,
+  listPresets,
+  savePreset,
+  deletePreset,
+  MAX_PRESETS_PER_OWNER
+} from "./presetStore.js";                                       // Preset persistence
+
+const SCOPE_CHOICES = [
+  { name: "Just me", value: "user" },
+  { name: "This server", value: "guild" }
+];
+
+export const presetCommand = new SlashCommandBuilder()
+  .setName("preset")
+  .setDescription("Save and reuse vocoder settings")
+  .addSubcommand((sub) =>
+    addParamOptions(
+      sub.setName("save")
+        .setDescription("Save vocoder settings under a name")
+        .addStringOption((o) => o.setName("name").setDescription("Preset name").setMaxLength(32).setRequired(true))
+        .addStringOption((o) =>
+          o.setName("scope").setDescription("Who can use it. Default: just me").addChoices(...SCOPE_CHOICES).setRequired(false)
+        )
+    )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("load")
+      .setDescription("Show a preset's settings")
+      .addStringOption((o) => o.setName("name").setDescription("Preset name").setAutocomplete(true).setRequired(true))
+  )
+  .addSubcommand((sub) =>
+    sub.setName("list")
+      .setDescription("List your, this server's and built-in presets")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("delete")
+      .setDescription("Delete a saved preset")
+      .addStringOption((o) => o.setName("name").setDescription("Preset name").setAutocomplete(true).setRequired(true))
+      .addStringOption((o) =>
+        o.setName("scope").setDescription("Which preset to delete. Default: just me").addChoices(...SCOPE_CHOICES).setRequired(false)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("share")
+      .setDescription("Copy one of your presets to this server")
+      .addStringOption((o) => o.setName("name").setDescription("Your preset name").setAutocomplete(true).setRequired(true))
+  );
+
+// COMMAND HANDLER
+export async function handlePresetCommand(interaction) {
+  try {
+    const sub = interaction.options.getSubcommand();
+    const handler = { save: handleSave, load: handleLoad, list: handleList, delete: handleDelete, share: handleShare }[sub];
+    await handler(interaction);
+  } catch (err) {                                           // User-facing errors
+    await interaction.reply({ content: `❌ Error: ${err.message}`, ephemeral: true });
+  }
+}
+
+// AUTOCOMPLETE FOR PRESET NAMES (also used by /vocode preset:)
+export async function handlePresetAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const scopes = await listPresets({ userId: interaction.user.id, guildId: interaction.guildId });
+  const onlyOwn = interaction.commandName === "preset" && interaction.options.getSubcommand() === "share";
+
+  const names = [...new Set([
+    ...scopes.user.map((p) => p.name),
+    ...(onlyOwn ? [] : scopes.guild.map((p) => p.name)),
+    ...(onlyOwn ? [] : scopes.factory.map((p) => p.name))
+  ])];                                                      // Lookup order, no duplicates
+
+  await interaction.respond(
+    names
+      .filter((name) => name.toLowerCase().includes(focused))
+      .slice(0, 25)                                         // Discord limit
+      .map((name) => ({ name, value: name }))
+  );
+}
+
+// SUBCOMMANDS
+async function handleSave(interaction) {
+  const name = interaction.options.getString("name");
+  const scope = interaction.options.getString("scope") ?? "user";
+  const params = readParams(interaction.options);
+
+  if (Object.keys(params).length === 0) throw new Error("Set at least one parameter to save.");
+  validateParams(params);                                   // Reject broken presets up front
+
+  const { replaced } = await savePreset({
+    scope,
+    ownerId: ownerIdFor(interaction, scope),
+    name,
+    params,
+    authorId: interaction.user.id,
+    canManage: canManage(interaction)
+  });
+
+  await interaction.reply({
+    content: `✅ ${replaced ? "Updated" : "Saved"} ${scopeLabel(scope)} preset **${name.trim()}**\n\`${formatParams(params)}\``,
+    ephemeral: true
+  });
+}
+
+async function handleLoad(interaction) {
+  const preset = await requirePreset(interaction, interaction.options.getString("name"));
+  await interaction.reply({
+    content: [
+      `🎚️ **${preset.name}** (${scopeLabel(preset.scope)})`,
+      `\`${formatParams(preset.params)}\``,
+      `Use it with \`/vocode preset:${preset.name}\`. Options you add to /vocode override these values.`
+    ].join("\n"),
+    ephemeral: true
+  });
+}
+
+async function handleList(interaction) {
+  const scopes = await listPresets({ userId: interaction.user.id, guildId: interaction.guildId });
+  const section = (title, presets) =>
+    `**${title}** (${presets.length})\n${presets.length ? presets.map((p) => `• ${p.name}`).join("\n") : "• none"}`;
+
+  await interaction.reply({
+    content: [
+      section(`Your presets, max ${MAX_PRESETS_PER_OWNER}`, scopes.user),
+      interaction.guildId && section("Server presets", scopes.guild),
+      section("Built-in presets", scopes.factory)
+    ].filter(Boolean).join("\n\n"),
+    ephemeral: true
+  });
+}
+
+async function handleDelete(interaction) {
+  const name = interaction.options.getString("name");
+  const scope = interaction.options.getString("scope") ?? "user";
+
+  const deleted = await deletePreset({
+    scope,
+    ownerId: ownerIdFor(interaction, scope),
+    name,
+    userId: interaction.user.id,
+    canManage: canManage(interaction)
+  });
+  if (!deleted) throw new Error(`No ${scopeLabel(scope)} preset named "${name}".`);
+
+  await interaction.reply({ content: `🗑️ Deleted ${scopeLabel(scope)} preset **${name.trim()}**.`, ephemeral: true });
+}
+
+async function handleShare(interaction) {
+  const name = interaction.options.getString("name");
+  const preset = await findPreset(name, { userId: interaction.user.id, guildId: null }); // Own presets only
+  if (!preset || preset.scope !== "user") throw new Error(`You have no preset named "${name}".`);
+
+  await savePreset({
+    scope: "guild",
+    ownerId: ownerIdFor(interaction, "guild"),
+    name: preset.name,
+    params: preset.params,
+    authorId: interaction.user.id,
+    canManage: canManage(interaction)
+  });
+
+  await interaction.reply(
+    `📢 ${interaction.user} shared the preset **${preset.name}** with this server.\n` +
+    `\`${formatParams(preset.params)}\`\nTry it: \`/vocode preset:${preset.name}\``
+  );                                                        // Public announcement
+}
+
+// HELPER FUNCTIONS
+async function requirePreset(interaction, name) {
+  const preset = await findPreset(name, { userId: interaction.user.id, guildId: interaction.guildId });
+  if (!preset) throw new Error(`Preset "${name}" not found. See /preset list.`);
+  return preset;
+}
+
+function ownerIdFor(interaction, scope) {
+  if (scope !== "guild") return interaction.user.id;
+  if (!interaction.guildId) throw new Error("Server presets can only be used inside a server.");
+  return interaction.guildId;
+}
+
+function canManage(interaction) {
+  return interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) ?? false;
+}
+
+function scopeLabel(scope) {
+  return { user: "personal", guild: "server", factory: "built-in" }[scope];
+}
@@ -0,0 +1,108 @@
+/**
+ * presetStore.js
+ *
+ * Named vocoder parameter sets, saved per user and per guild in data/presets.json.
+ * Lookups fall through user -> guild -> factory presets.
+ */
+
+import { createJsonStore } from "../storage/jsonStore.js";      // JSON persistence
+import { FACTORY_PRESETS } from "./factoryPresets.js";          // Built-in presets
+
+const store = createJsonStore("presets.json", { users: {}, guilds: {} });
+
+export const MAX_PRESETS_PER_OWNER = 25;                         // Also Discord's autocomplete limit
+const NAME_PATTERN = /^[\w\- ]{1,32}$/;                          // Letters, digits, _, -, spaces
+
+const presetKey = (name) => name.trim().toLowerCase();           // Case-insensitive names
+const ownerMap = (scope) => (scope === "guild" ? "guilds" : "users");
+
+/**
+ * Validates a preset name. Throws an Error with a user-facing message.
+ */
+export function validatePresetName(name) {
+  if (!NAME_PATTERN.test(name.trim())) {
+    throw new Error("Preset names must be 1-32 letters, numbers, spaces, _ or -.");
+  }
+  if (findFactoryPreset(name)) {
+    throw new Error(`"${name.trim()}" is a built-in preset name. Pick another name.`);
+  }
+}
+
+/**
+ * Finds a preset visible to a user (their own, their guild's, or a factory preset).
+ * Returns { name, params, scope, authorId } or null.
+ */
+export async function findPreset(name, { userId, guildId }) {
+  const data = await store.read();
+  const key = presetKey(name);
+
+  const own = data.users[userId]?.[key];
+  if (own) return { ...own, scope: "user" };
+
+  const shared = guildId ? data.guilds[guildId]?.[key] : null;
+  if (shared) return { ...shared, scope: "guild" };
+
+  return findFactoryPreset(name);                           // null when nothing matches
+}
+
+/**
+ * Lists every preset visible to a user, grouped by scope.
+ */
+export async function listPresets({ userId, guildId }) {
+  const data = await store.read();
+  return {
+    user: Object.values(data.users[userId] ?? {}),
+    guild: guildId ? Object.values(data.guilds[guildId] ?? {}) : [],
+    factory: Object.entries(FACTORY_PRESETS).map(([name, params]) => ({ name, params }))
+  };
+}
+
+/**
+ * Saves (or replaces) a preset.
+ * Guild presets can only be replaced by their author or a server manager (`canManage`).
+ */
+export async function savePreset({ scope, ownerId, name, params, authorId, canManage = false }) {
+  validatePresetName(name);
+
+  return store.update((data) => {
+    const owner = (data[ownerMap(scope)][ownerId] ??= {});  // Create owner bucket
+    const key = presetKey(name);
+    const existing = owner[key];
+
+    if (existing && scope === "guild" && existing.authorId !== authorId && !canManage) {
+      throw new Error(`The server preset "${existing.name}" belongs to someone else.`);
+    }
+    if (!existing && Object.keys(owner).length >= MAX_PRESETS_PER_OWNER) {
+      throw new Error(`You can save at most ${MAX_PRESETS_PER_OWNER} presets here. Delete one first.`);
+    }
+
+    owner[key] = { name: name.trim(), params, authorId, updatedAt: new Date().toISOString() };
+    return { replaced: Boolean(existing) };
+  });
+}
+
+/**
+ * Deletes a preset. Returns false when it did not exist.
+ * Guild presets can only be deleted by their author or a server manager (`canManage`).
+ */
+export async function deletePreset({ scope, ownerId, name, userId, canManage = false }) {
+  return store.update((data) => {
+    const owner = data[ownerMap(scope)][ownerId];
+    const key = presetKey(name);
+    const existing = owner?.[key];
+    if (!existing) return false;
+
+    if (scope === "guild" && existing.authorId !== userId && !canManage) {
+      throw new Error(`The server preset "${existing.name}" belongs to someone else.`);
+    }
+    delete owner[key];
+    return true;
+  });
+}
+
+// HELPER FUNCTIONS
+function findFactoryPreset(name) {
+  const key = presetKey(name);
+  const match = Object.keys(FACTORY_PRESETS).find((n) => presetKey(n) === key);
+  return match ? { name: match, params: FACTORY_PRESETS[match], scope: "factory", authorId: null } : null;
+}
@@ -0,0 +1,52 @@
+/**
+ * jsonStore.js
+ *
+ * Minimal JSON file store for bot data (presets, settings).
+ * Writes are serialized and atomic (temp file + rename), so a crash never leaves half a file.
+ */
+
+import { promises as fs } from "fs";                             // File system promises API
+import path from "path";                                         // Path utilities
+
+const { readFile, writeFile, rename, mkdir } = fs;
+
+export const DATA_DIR = path.join(process.cwd(), "data");        // Persistent data directory
+
+/**
+ * Creates a store backed by `DATA_DIR/<fileName>`.
+ * `defaults` is returned (cloned) when the file does not exist yet.
+ */
+export function createJsonStore(fileName, defaults = {}) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let writeChain = Promise.resolve();                       // Serializes updates
+
+  async function read() {
+    try {
+      return JSON.parse(await readFile(filePath, "utf8"));   // Stored data
+    } catch (e) {
+      if (e.code === "ENOENT") return structuredClone(defaults); // First run
+      throw e;                                              // Corrupt file or IO error
+    }
+  }
+
+  async function write(data) {
+    await mkdir(DATA_DIR, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await rename(tmpPath, filePath);                        // Atomic replace
+  }
+
+  // Runs `mutate(data)` and saves the result; returns what `mutate` returned
+  function update(mutate) {
+    const run = writeChain.then(async () => {
+      const data = await read();
+      const result = await mutate(data);
+      await write(data);
+      return result;
+    });
+    writeChain = run.catch(() => {});                       // Keep the chain alive after errors
+    return run;
+  }
+
+  return { read, update, filePath };
+}
@@ -0,0 +1,102 @@
+/**
+ * cli.test.js
+ *
+ * Argument parsing, output paths and batch mode of the vocode CLI, with a stubbed render.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vocoder-test-")); // Inputs, outputs and temp/ go here
+process.chdir(workDir);                                          // Before the CLI modules compute their paths
+
+const { runCli } = await import("../headless/cli.js");
+
+before(async () => {
+  await fs.writeFile("voice.wav", "voice");
+  await fs.writeFile("synth.wav", "synth");
+});
+
+after(async () => {
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// Runs the CLI with a render stub that records its jobs; `fail` lists modulator file names to fail on
+async function cli(argv, { fail = [] } = {}) {
+  const jobs = [];
+  const lines = [];
+  const render = async (job) => {
+    jobs.push(job);
+    if (fail.includes(path.basename(job.modulatorPath))) throw new Error("Render failed.");
+    const { format } = job.prepared.outputOptions;
+    return { buffer: Buffer.from(`${format} data`), format, ext: format };
+  };
+  const code = await runCli(argv, { log: (line) => lines.push(line), render });
+  return { code, jobs, lines };
+}
+
+test("--help prints the usage and every parameter", async () => {
+  const { code, lines, jobs } = await cli(["--help"]);
+  assert.equal(code, 0);
+  assert.match(lines[0], /^Usage:/);
+  assert.match(lines[0], /--min-freq/);
+  assert.equal(jobs.length, 0);
+});
+
+test("no input or too many files print the usage and exit with 2", async () => {
+  assert.equal((await cli([])).code, 2);
+  assert.equal((await cli(["a.wav", "b.wav", "c.wav"])).code, 2);
+});
+
+test("flags become parameters and -o picks the format", async () => {
+  const { code, jobs, lines } = await cli(["voice.wav", "-o", "out.mp3", "--bands", "8", "--min-freq", "100", "--chord", "C3 G3", "--stereo", "--spread", "30"]);
+  assert.equal(code, 0);
+
+  const [{ modulatorPath, carrierPath, prepared }] = jobs;
+  assert.deepEqual([modulatorPath, carrierPath], ["voice.wav", null]);
+  assert.equal(prepared.vocoderOptions.bands, 8);
+  assert.equal(prepared.vocoderOptions.minFreq, 100);
+  assert.deepEqual([prepared.vocoderOptions.stereo, prepared.vocoderOptions.spread], [true, 30]); // --stereo is a switch
+  assert.equal(prepared.params.chord, "C3 G3");
+  assert.equal(prepared.outputOptions.format, "mp3");
+  assert.equal(await fs.readFile("out.mp3", "utf8"), "mp3 data");
+  assert.deepEqual(lines, ["✅ out.mp3"]);
+});
+
+test("a carrier file, --format and --preset", async () => {
+  const { jobs } = await cli(["voice.wav", "synth.wav", "--format", "flac"]);
+  assert.equal(jobs[0].carrierPath, "synth.wav");
+  assert.equal(jobs[0].prepared.carrierOptions, null);
+  assert.equal(await fs.readFile("voice_vocoded.flac", "utf8"), "flac data"); // Next to the modulator
+
+  const preset = await cli(["voice.wav", "--preset", "Dalek", "--bands", "12"]);
+  assert.equal(preset.jobs[0].prepared.vocoderOptions.bands, 12); // Flags override the preset
+  assert.equal(preset.jobs[0].prepared.carrierOptions.preset, "square");
+});
+
+test("invalid flags and values are rejected before rendering", async () => {
+  await assert.rejects(cli(["voice.wav", "--bands", "2"]), /"bands" must be between 4 and 64/);
+  await assert.rejects(cli(["voice.wav", "--bands", "many"]), /"bands" must be a whole number/);
+  await assert.rejects(cli(["voice.wav", "--loudness", "3"]), { code: "ERR_PARSE_ARGS_UNKNOWN_OPTION" });
+  await assert.rejects(cli(["voice.wav", "--preset", "Nope"]), /Preset "Nope" not found/);
+  await assert.rejects(cli(["voice.wav", "synth.wav", "--chord", "C3"]), /either a carrier file or/);
+});
+
+test("batch mode renders every media file and keeps going after a failure", async () => {
+  await fs.mkdir("batch");
+  for (const name of ["a.wav", "b.mp3", "notes.txt"]) await fs.writeFile(path.join("batch", name), name);
+
+  const { code, jobs, lines } = await cli(["batch", "--format", "ogg"], { fail: ["b.mp3"] });
+  assert.equal(code, 1);                                    // One file failed
+  assert.deepEqual(jobs.map((job) => path.basename(job.modulatorPath)), ["a.wav", "b.mp3"]);
+  assert.deepEqual(await fs.readdir(path.join("batch", "vocoded")), ["a_vocoded.ogg"]);
+  assert.match(lines[1], /\[2\/2\] ❌ b\.mp3: Render failed\./);
+  assert.equal(lines.at(-1), "Rendered 1 of 2 file(s).");
+
+  await cli(["batch", "--out-dir", "rendered"]);
+  assert.deepEqual((await fs.readdir("rendered")).sort(), ["a_vocoded.wav", "b_vocoded.wav"]);
+});
@@ -0,0 +1,60 @@
+/**
+ * ffmpeg.test.js
+ *
+ * The FFmpeg watchdog: aborts and timeouts stop the process, also before it has been spawned.
+ */
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import ffmpeg from "fluent-ffmpeg";
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vocoder-test-")); // Outputs go here
+process.chdir(workDir);                                          // Before the media modules compute their paths
+
+const { runFfmpeg } = await import("../media/ffmpeg.js");
+
+after(async () => {
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// 30 s of generated silence read in real time, so only a kill ends it early
+function slowCommand() {
+  return ffmpeg("anullsrc=r=8000:cl=mono")
+    .inputFormat("lavfi")
+    .inputOptions("-re")
+    .duration(30)
+    .toFormat("wav");
+}
+
+const cancelled = () => Object.assign(new Error("Job cancelled."), { code: "JOB_CANCELLED" });
+
+test("an abort before FFmpeg has started still kills it", async () => {
+  const controller = new AbortController();
+  const command = slowCommand();
+  let started = false;
+  command.on("start", () => { started = true; });
+  const run = runFfmpeg(command, "early.wav", { signal: controller.signal });
+  controller.abort(cancelled());                            // While fluent-ffmpeg checks capabilities
+
+  await assert.rejects(run, { code: "JOB_CANCELLED" });
+  assert.ok(started);                                       // Killed once spawned, not left running
+});
+
+test("an abort while FFmpeg runs kills it", async () => {
+  const controller = new AbortController();
+  const command = slowCommand().on("start", () => setTimeout(() => controller.abort(cancelled()), 200));
+  await assert.rejects(runFfmpeg(command, "running.wav", { signal: controller.signal }), { code: "JOB_CANCELLED" });
+});
+
+test("a run past FFMPEG_TIMEOUT_SECONDS is stopped", async () => {
+  process.env.FFMPEG_TIMEOUT_SECONDS = "1";
+  try {
+    await assert.rejects(runFfmpeg(slowCommand(), "slow.wav"), { code: "FFMPEG_TIMEOUT" });
+  } finally {
+    delete process.env.FFMPEG_TIMEOUT_SECONDS;
+  }
+});
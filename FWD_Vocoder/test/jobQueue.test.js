@@ -0,0 +1,126 @@
+/**
+ * jobQueue.test.js
+ *
+ * Concurrency, limits, positions, cancellation and timeouts of the job queue.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue } from "../jobs/jobQueue.js";
+
+// A job that finishes when `release()` is called (or rejects when aborted)
+function controllable() {
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  const run = (signal) => new Promise((resolve, reject) => {
+    done.then(() => resolve("done"));
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+  });
+  return { run, release };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("runs up to `concurrency` jobs and reports positions", async () => {
+  const queue = createJobQueue({ concurrency: 1, perUserLimit: 5 });
+  const first = controllable();
+  const positions = [];
+  const a = queue.enqueue({ userId: "a", run: first.run });
+  const b = queue.enqueue({ userId: "b", run: async () => "b", onPosition: (p) => positions.push(p) });
+  await tick();
+
+  assert.deepEqual(queue.stats(), { waiting: 1, running: 1, concurrency: 1 });
+  first.release();
+  assert.equal(await a.promise, "done");
+  assert.equal(await b.promise, "b");
+  assert.deepEqual(positions, [1, 0]);                      // Waiting, then started
+});
+
+test("enforces the per-user limit", async () => {
+  const queue = createJobQueue({ concurrency: 1, perUserLimit: 1 });
+  const held = queue.enqueue({ userId: "a", run: controllable().run });
+  assert.throws(() => queue.enqueue({ userId: "a", run: async () => {} }), { code: "QUEUE_USER_LIMIT" });
+  const other = queue.enqueue({ userId: "b", run: async () => "b" });
+  queue.cancelUserJobs("a");
+  await assert.rejects(held.promise, { code: "JOB_CANCELLED" });
+  assert.equal(await other.promise, "b");
+});
+
+test("picks the least busy user first", async () => {
+  const queue = createJobQueue({ concurrency: 2, perUserLimit: 5 });
+  const order = [];
+  const busy = controllable();
+  queue.enqueue({ userId: "a", run: busy.run });
+  const held = controllable();
+  queue.enqueue({ userId: "z", run: held.run });            // Fills the second worker
+  const a2 = queue.enqueue({ userId: "a", run: async () => order.push("a2") });
+  const b1 = queue.enqueue({ userId: "b", run: async () => order.push("b1") });
+
+  held.release();                                           // One worker frees up: b has nothing running
+  await b1.promise;
+  busy.release();
+  await a2.promise;
+  assert.deepEqual(order, ["b1", "a2"]);
+});
+
+test("only the owner can cancel, waiting or running", async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const running = queue.enqueue({ userId: "a", run: controllable().run });
+  const waiting = queue.enqueue({ userId: "b", run: async () => {} });
+
+  assert.equal(queue.cancel(waiting.id, "a"), false);       // Not the owner
+  assert.equal(queue.cancel(waiting.id, "b"), true);
+  await assert.rejects(waiting.promise, { code: "JOB_CANCELLED" });
+  assert.equal(queue.cancel(running.id, "a"), true);
+  await assert.rejects(running.promise, { code: "JOB_CANCELLED" });
+});
+
+test("times out jobs that run too long", async () => {
+  const queue = createJobQueue({ timeoutMs: 20 });
+  const job = queue.enqueue({ userId: "a", run: controllable().run });
+  await assert.rejects(job.promise, { code: "JOB_TIMEOUT" });
+  await tick();                                             // run rejects on abort, then frees its worker
+  assert.equal(queue.stats().running, 0);
+});
+
+test("a cancelled job keeps its worker until run returns", async () => {
+  const queue = createJobQueue({ concurrency: 1, perUserLimit: 1 });
+  let finish;
+  const slow = queue.enqueue({ userId: "a", run: () => new Promise((resolve) => { finish = resolve; }) }); // Ignores the signal
+  const next = queue.enqueue({ userId: "b", run: async () => "next" });
+  await tick();
+
+  assert.equal(queue.cancel(slow.id, "a"), true);
+  await assert.rejects(slow.promise, { code: "JOB_CANCELLED" });
+  assert.equal(queue.cancel(slow.id, "a"), false);          // Already cancelled
+  assert.deepEqual(queue.stats(), { waiting: 1, running: 1, concurrency: 1 });
+  const retry = queue.enqueue({ userId: "a", run: async () => "retry" }); // The cancelled job no longer counts for its owner
+
+  finish();
+  assert.equal(await next.promise, "next");
+  assert.equal(await retry.promise, "retry");
+});
+
+test("shutdown leaves out cancelled jobs that are still winding down", async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  let finish;
+  const slow = queue.enqueue({ userId: "a", run: () => new Promise((resolve) => { finish = resolve; }), data: { n: 1 } });
+  await tick();
+  queue.cancel(slow.id, "a");
+  await assert.rejects(slow.promise, { code: "JOB_CANCELLED" });
+  assert.deepEqual(queue.shutdown(), []);
+  finish();
+});
+
+test("shutdown returns unfinished job data and stops accepting", async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const jobs = [
+    queue.enqueue({ userId: "a", run: controllable().run, data: { n: 1 } }),
+    queue.enqueue({ userId: "b", run: async () => {}, data: { n: 2 } })
+  ];
+  assert.deepEqual(queue.shutdown(), [{ n: 1 }, { n: 2 }]);
+  assert.throws(() => queue.enqueue({ userId: "c", run: async () => {} }), { code: "QUEUE_CLOSED" });
+
+  for (const job of jobs) queue.cancel(job.id, null, { force: true }); // Free the worker so the test can exit
+  for (const job of jobs) await assert.rejects(job.promise, { code: "JOB_CANCELLED" });
+});
@@ -0,0 +1,88 @@
+/**
+ * params.test.js
+ *
+ * Shared /vocode parameters: parsing, preset merging and engine option mapping.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseParamValues, mergeParams, toVocoderOptions, resolveParams, formatParams } from "../vocoder/params.js";
+import vocodeCommand from "../commands/vocode.js";
+import { presetCommand } from "../presets/presetCommand.js";
+
+test("parses string values with Discord's ranges and choices", () => {
+  assert.deepEqual(parseParamValues({ bands: "32", attack_ms: "2.5", format: "mp3" }), { bands: 32, attack_ms: 2.5, format: "mp3" });
+  assert.throws(() => parseParamValues({ bands: "3" }), /between 4 and 64/);
+  assert.throws(() => parseParamValues({ bands: "8.5" }), /whole number/);
+  assert.throws(() => parseParamValues({ format: "aiff" }), /one of/);
+  assert.throws(() => parseParamValues({ nope: "1" }), /Unknown option/);
+  assert.deepEqual(parseParamValues({ stereo: "true", spread: "60" }), { stereo: true, spread: 60 });
+  assert.deepEqual(parseParamValues({ stereo: false }), { stereo: false }); // CLI switch
+  assert.throws(() => parseParamValues({ stereo: "wide" }), /true or false/);
+});
+
+test("spread without stereo is rejected, not ignored", () => {
+  assert.throws(() => resolveParams({ spread: 50 }), /"spread" needs stereo:true/);
+  assert.throws(() => resolveParams(mergeParams({ stereo: true, spread: 70 }, { stereo: false })), /spread:0 for mono/); // Mono from a stereo preset
+  assert.equal(resolveParams(mergeParams({ stereo: true, spread: 70 }, { stereo: false, spread: 0 })).vocoderOptions.stereo, false);
+});
+
+test("slash commands stay within Discord's 25 options", () => {
+  const vocode = vocodeCommand.data.toJSON().options;
+  const save = presetCommand.toJSON().options.find((o) => o.name === "save").options;
+  assert.ok(vocode.length <= 25, `/vocode has ${vocode.length} options`);
+  assert.ok(save.length <= 25, `/preset save has ${save.length} options`);
+
+  assert.ok(vocode.some((o) => o.name === "stereo") && vocode.some((o) => o.name === "spread"));
+  assert.ok(!vocode.some((o) => o.name === "comp_ratio"));  // Advanced: presets, CLI and HTTP only
+  assert.ok(save.some((o) => o.name === "comp_ratio"));
+});
+
+test("explicit values win over a preset", () => {
+  const preset = { bands: 24, chord: "C3", format: "mp3", bitrate: 320 };
+  assert.deepEqual(mergeParams(preset, { bands: 8 }), { bands: 8, chord: "C3", format: "mp3", bitrate: 320 });
+  assert.deepEqual(mergeParams(preset, {}, { hasCarrierFile: true }), { bands: 24, format: "mp3", bitrate: 320 });
+  assert.deepEqual(mergeParams(preset, { format: "ogg" }), { bands: 24, chord: "C3", format: "ogg" }); // Preset bitrate dropped
+});
+
+test("maps option names to engine options", () => {
+  const opts = toVocoderOptions({ attack_ms: 20, min_freq: 100, stereo: true, spread: 40 });
+  assert.equal(opts.attack, 0.02);
+  assert.equal(opts.minFreq, 100);
+  assert.equal(opts.stereo, true);
+  assert.equal(opts.spread, 40);
+
+  const looped = toVocoderOptions({ length_mode: "modulator_crossfade", offset_ms: -250 });
+  assert.equal(looped.lengthMode, "modulator");
+  assert.equal(looped.carrierFit, "crossfade");
+  assert.equal(looped.modOffset, 0.25);
+  assert.equal(looped.carOffset, undefined);
+
+  const voice = toVocoderOptions({ sibilance: 40, dry_mix: 25, gate_db: -45 });
+  assert.deepEqual([voice.sibilance, voice.dryMix, voice.gateDb], [40, 25, -45]);
+});
+
+test("resolves carrier and output options", () => {
+  const resolved = resolveParams({ carrier_preset: "square", chord: "C3 G3", format: "ogg" });
+  assert.deepEqual(resolved.carrierOptions, { preset: "square", notes: [48, 55], detune: 0, tracking: null });
+  assert.deepEqual(resolved.outputOptions, { format: "ogg", bitrate: 128 });
+  assert.equal(resolveParams({}, { name: "carrier.wav" }).carrierOptions, null);
+  assert.throws(() => resolveParams({ chord: "C3" }, { name: "carrier.wav" }), /either a carrier file/);
+  assert.throws(() => resolveParams({ key: "C minor" }, { name: "carrier.wav" }), /either a carrier file/);
+});
+
+test("resolves pitch-tracking carrier options", () => {
+  const { tracking } = resolveParams({ key: "Bb dorian", harmony: "+3 -12" }).carrierOptions;
+  assert.deepEqual(tracking, { key: { name: "Bb dorian", root: 10, scale: [0, 2, 3, 5, 7, 9, 10] }, harmony: [3, -12] });
+  assert.equal(resolveParams({ harmony: "7" }).carrierOptions.tracking.key.scale, null); // Harmony alone: no quantization
+  assert.throws(() => resolveParams({ key: "H minor" }), /not a key/);
+  assert.throws(() => resolveParams({ harmony: "+30" }), /not a harmony interval/);
+  assert.throws(() => resolveParams({ key: "C", chord: "C3" }), /either chord or key/);
+  assert.throws(() => resolveParams({ key: "C", carrier_preset: "pink" }), /Noise carriers/);
+  assert.throws(() => resolveParams({ key: "C", offset_ms: 200 }), /offset_ms/);
+});
+
+test("formats parameters like slash options", () => {
+  assert.equal(formatParams({ bands: 8, chord: "C3 E3" }), 'chord:"C3 E3" bands:8');
+  assert.equal(formatParams({}), "(engine defaults)");
+});
@@ -0,0 +1,53 @@
+/**
+ * pitchTracker.test.js
+ *
+ * Pitch detection, key quantization and the pitch-tracking carrier.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectPitch, parseKey, parseHarmony, quantizeMidi, fillUnvoiced } from "../vocoder/pitchTracker.js";
+import { synthesizeTrackingCarrier } from "../vocoder/carrierSynth.js";
+import { RATE, sine, silence } from "./support/helpers.js";
+
+const concat = (...parts) => Float32Array.from(parts.flatMap((p) => [...p]));
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+test("detects the pitch of a tone and marks silence unvoiced", () => {
+  const { frameRate, pitches } = detectPitch(concat(sine(220, 0.5), silence(0.5), sine(330, 0.5)), RATE);
+  const at = (seconds) => pitches[Math.round(seconds * frameRate)];
+  assert.ok(Math.abs(at(0.25) - 220) < 1);
+  assert.equal(at(0.75), 0);
+  assert.ok(Math.abs(at(1.2) - 330) < 1);
+});
+
+test("parses keys and harmony intervals", () => {
+  assert.deepEqual(parseKey("f# minor pentatonic"), { name: "F# minor pentatonic", root: 6, scale: [0, 3, 5, 7, 10] });
+  assert.equal(parseKey("Eb").name, "Eb major");
+  assert.equal(parseKey("none").scale, null);
+  assert.throws(() => parseKey("C lydian"), /not a key/);
+  assert.deepEqual(parseHarmony("+4, 7 -12"), [4, 7, -12]);
+  assert.throws(() => parseHarmony("1 2 3 4 5"), /at most 4/);
+});
+
+test("quantizes to the nearest note of the scale", () => {
+  const cMajor = parseKey("C major");
+  assert.equal(quantizeMidi(61.4, cMajor), 62);             // C#+ -> D
+  assert.equal(quantizeMidi(59.8, cMajor), 60);             // B/C boundary
+  assert.equal(quantizeMidi(66, parseKey("A minor pentatonic")), 67); // F# -> G
+  assert.equal(quantizeMidi(60.3, parseKey("none")), 60.3);
+});
+
+test("holds the last voiced pitch through gaps", () => {
+  assert.deepEqual([...fillUnvoiced(Float32Array.of(0, 200, 0, 0, 300))], [200, 200, 200, 200, 300]);
+  assert.equal(fillUnvoiced(new Float32Array(3)), null);
+});
+
+test("tracking carrier plays the quantized melody", () => {
+  const voice = concat(sine(225, 0.5), sine(310, 0.5));   // Slightly sharp A3, flat D#4
+  const carrier = synthesizeTrackingCarrier({ key: "A minor" }, detectPitch(voice, RATE), voice.length, RATE);
+  const { pitches } = detectPitch(carrier, RATE);
+  const half = Math.floor(pitches.length / 2);
+  assert.ok(Math.abs(median(pitches.slice(5, half - 5)) - 220) < 2);      // A3
+  assert.ok(Math.abs(median(pitches.slice(half + 5, -5)) - 293.66) < 3);  // D4 (D# is not in A minor)
+});
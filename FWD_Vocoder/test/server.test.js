@@ -0,0 +1,141 @@
+/**
+ * server.test.js
+ *
+ * The HTTP API with a stubbed render: routes, parameters, uploads and error statuses.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vocoder-test-")); // temp/ goes here
+process.chdir(workDir);                                          // Before the server modules compute their paths
+
+const { createVocodeServer } = await import("../headless/server.js");
+const { createJobQueue } = await import("../jobs/jobQueue.js");
+const { TEMP_DIR, mediaError } = await import("../media/ffmpeg.js");
+
+let render = null;                                               // Stub for the current test
+let server;
+let base;
+
+before(async () => {
+  server = createVocodeServer({
+    queue: createJobQueue({ concurrency: 1, perUserLimit: 5, timeoutMs: 200 }),
+    render: (job) => render(job)
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// POSTs a multipart form; `files` maps field names to [fileName, content]
+function vocode(fields = {}, files = { modulator: ["voice.wav", "voice"] }) {
+  const form = new FormData();
+  for (const [name, [fileName, content]] of Object.entries(files)) form.append(name, new Blob([content]), fileName);
+  for (const [name, value] of Object.entries(fields)) form.append(name, String(value));
+  return fetch(`${base}/vocode`, { method: "POST", body: form });
+}
+
+const failWith = (err) => async () => { throw err; };
+
+test("GET /health reports the queue", async () => {
+  const res = await fetch(`${base}/health`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { status: "ok", queue: { waiting: 0, running: 0, concurrency: 1 } });
+});
+
+test("POST /vocode renders the uploads with the form's parameters", async () => {
+  const jobs = [];
+  render = async (job) => {
+    jobs.push({ ...job, modulator: await fs.readFile(job.modulatorPath, "utf8"), carrier: await fs.readFile(job.carrierPath, "utf8") });
+    return { buffer: Buffer.from("mp3 data"), format: "mp3", bitrate: 192, ext: "mp3" };
+  };
+  const res = await vocode({ bands: 8, format: "mp3" }, { modulator: ["voice.wav", "voice"], carrier: ["synth.wav", "synth"] });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "audio/mpeg");
+  assert.match(res.headers.get("content-disposition"), /filename="vocoded\.mp3"/);
+  assert.equal(await res.text(), "mp3 data");
+
+  const [job] = jobs;
+  assert.deepEqual([job.modulator, job.carrier], ["voice", "synth"]);
+  assert.equal(job.prepared.vocoderOptions.bands, 8);
+  assert.equal(job.prepared.outputOptions.format, "mp3");
+  assert.equal(job.prepared.carrierOptions, null);          // Carrier file instead of the built-in one
+  assert.deepEqual(await fs.readdir(TEMP_DIR), []);         // Uploads removed
+});
+
+test("POST /vocode applies built-in presets", async () => {
+  let prepared;
+  render = async (job) => {
+    prepared = job.prepared;
+    return { buffer: Buffer.from("wav data"), format: "wav", bitrate: null, ext: "wav" };
+  };
+  const res = await vocode({ preset: "Dalek" });
+  assert.equal(res.status, 200);
+  assert.equal(prepared.vocoderOptions.bands, 8);
+  assert.equal(prepared.carrierOptions.preset, "square");
+});
+
+test("invalid requests get 400 with a JSON error", async () => {
+  render = failWith(new Error("Not rendered"));
+  const cases = [
+    [{}, {}, /modulator/],
+    [{ bands: 2 }, undefined, /"bands" must be between 4 and 64/],
+    [{ loudness: 3 }, undefined, /Unknown option "loudness"/],
+    [{ preset: "Nope" }, undefined, /Preset "Nope" not found/]
+  ];
+  for (const [fields, files, message] of cases) {
+    const res = await vocode(fields, files);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, message);
+  }
+
+  const notMultipart = await fetch(`${base}/vocode`, { method: "POST", body: "{}", headers: { "Content-Type": "application/json" } });
+  assert.equal(notMultipart.status, 400);
+  assert.equal((await fetch(`${base}/nope`)).status, 404);
+});
+
+test("render errors map to their status and code", async () => {
+  const cases = [
+    [failWith(mediaError("The modulator is too long.", "INPUT_TOO_LONG")), 422, "INPUT_TOO_LONG"],
+    [(job) => new Promise((_, reject) => job.signal.addEventListener("abort", () => reject(job.signal.reason))), 504, "JOB_TIMEOUT"],
+    [failWith(Object.assign(new Error("Job cancelled."), { code: "JOB_CANCELLED" })), 503, "JOB_CANCELLED"]
+  ];
+  for (const [stub, status, code] of cases) {
+    render = stub;
+    const res = await vocode();
+    assert.equal(res.status, status);
+    assert.equal((await res.json()).code, code);
+  }
+});
+
+test("only unexpected errors are logged as errors", async () => {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk, ...rest) => {
+    lines.push(String(chunk));
+    return write.call(process.stderr, chunk, ...rest);
+  };
+  try {
+    render = failWith(Object.assign(new Error("Job cancelled."), { code: "JOB_CANCELLED" }));
+    await (await vocode()).text();
+    assert.equal(lines.filter((line) => line.includes('"level":"error"')).length, 0);
+
+    render = failWith(new Error("Boom"));
+    const res = await vocode();
+    assert.equal(res.status, 500);
+    await res.text();
+    assert.equal(lines.filter((line) => line.includes('"msg":"HTTP render failed"')).length, 1);
+  } finally {
+    process.stderr.write = write;
+  }
+});
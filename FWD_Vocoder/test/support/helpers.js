@@ -0,0 +1,219 @@
+/**
+ * helpers.js
+ *
+ * Shared test utilities: synthetic signals, WAV encode/decode, band energy and
+ * fake Discord objects. Everything runs offline.
+ */
+
+import http from "http";                                         // Local attachment server
+import WavEncoder from "wav-encoder";                            // Test signal encoding
+import decodeAudio from "audio-decode";                          // Output decoding
+import { Collection } from "discord.js";                         // Attachment and message collections
+
+export const RATE = 48000;                                       // Engine work rate
+
+// SIGNALS
+export function sine(freq, seconds, amplitude = 0.5, rate = RATE) {
+  const out = new Float32Array(Math.round(seconds * rate));
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * freq * i) / rate);
+  return out;
+}
+
+export function silence(seconds, rate = RATE) {
+  return new Float32Array(Math.round(seconds * rate));
+}
+
+// Deterministic white noise (so failures are reproducible)
+export function noise(seconds, amplitude = 0.5, rate = RATE, seed = 1) {
+  const out = new Float32Array(Math.round(seconds * rate));
+  let state = seed;
+  for (let i = 0; i < out.length; i++) {
+    state = (state * 1664525 + 1013904223) >>> 0;           // LCG
+    out[i] = amplitude * ((state / 2 ** 32) * 2 - 1);
+  }
+  return out;
+}
+
+// WAV
+export async function toWav(channels, rate = RATE) {
+  const channelData = Array.isArray(channels) ? channels : [channels];
+  return Buffer.from(await WavEncoder.encode({ sampleRate: rate, channelData }));
+}
+
+export async function fromWav(buffer) {
+  const decoded = await decodeAudio(buffer);
+  const channels = [];
+  for (let c = 0; c < decoded.numberOfChannels; c++) channels.push(decoded.getChannelData(c));
+  return { channels, length: decoded.length, sampleRate: decoded.sampleRate };
+}
+
+// ANALYSIS
+export function peak(samples) {
+  let max = 0;
+  for (const x of samples) max = Math.max(max, Math.abs(x));
+  return max;
+}
+
+// Signal power at one frequency (Goertzel)
+export function powerAt(samples, freq, rate = RATE) {
+  const coef = 2 * Math.cos((2 * Math.PI * freq) / rate);
+  let s1 = 0;
+  let s2 = 0;
+  for (const x of samples) {
+    const s0 = x + coef * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  return (s1 * s1 + s2 * s2 - coef * s1 * s2) / samples.length;
+}
+
+// Mean power over `points` frequencies within ±spread of `freq` (steadier than one bin for noise)
+export function bandPower(samples, freq, { spread = 0.03, points = 16 } = {}) {
+  let total = 0;
+  for (let i = 0; i < points; i++) {
+    total += powerAt(samples, freq * (1 - spread + (2 * spread * i) / (points - 1)));
+  }
+  return total / points;
+}
+
+// LOCAL ATTACHMENT SERVER
+// Serves { "/path": Buffer } on 127.0.0.1; resolves to { url(path), requests, close() }
+// where `requests` lists every requested path
+export async function serveFiles(files) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const body = files[req.url];
+    if (!body) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Length": body.length }).end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    url: (path) => `http://127.0.0.1:${port}${path}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// FAKE DISCORD OBJECTS
+export function fakeAttachment(url, name, contentType, size = 1000) {
+  return { url, name, contentType, size };
+}
+
+/**
+ * A channel message with `attachments`; `voice` flags it as a voice message.
+ */
+export function fakeMessage(id, attachments = [], { voice = false } = {}) {
+  return {
+    id,
+    attachments: new Collection(attachments.map((attachment, i) => [`${id}-${i}`, attachment])),
+    flags: { has: (flag) => voice && flag === "IsVoiceMessage" }
+  };
+}
+
+/**
+ * A chat input interaction for `commandName` with the given option values.
+ * Records every reply in `interaction.replies`; `interaction.finished` resolves
+ * with the first reply that has files or an error.
+ * `member` sets { guildId, channelId, roles, admin } (admin = Manage Server permission).
+ */
+export function fakeCommandInteraction(commandName, values = {}, { userId = "user-1", ...member } = {}) {
+  return fakeInteraction({ commandName, values, userId, ...member });
+}
+
+/**
+ * A button press with `customId`, recorded like fakeCommandInteraction.
+ */
+export function fakeButtonInteraction(customId, { userId = "user-1" } = {}) {
+  return fakeInteraction({ customId, values: {}, userId, kind: "component" });
+}
+
+/**
+ * A message context menu command on `targetMessage`, recorded like fakeCommandInteraction.
+ * `history` lists the channel's recent messages, newest first.
+ */
+export function fakeContextMenuInteraction(commandName, targetMessage, { userId = "user-1", history = [] } = {}) {
+  const interaction = fakeInteraction({ commandName, values: {}, userId, kind: "context" });
+  interaction.targetMessage = targetMessage;
+  interaction.channel = {
+    messages: { fetch: async () => new Collection([targetMessage, ...history].map((m) => [m.id, m])) }
+  };
+  return interaction;
+}
+
+/**
+ * A select menu choice of `values`; the modal it opens is kept in `interaction.modal`.
+ */
+export function fakeSelectInteraction(customId, values, { userId = "user-1" } = {}) {
+  const interaction = fakeInteraction({ customId, values: {}, userId, kind: "component" });
+  interaction.values = values;
+  interaction.modal = null;
+  interaction.showModal = async (modal) => { interaction.modal = modal; };
+  return interaction;
+}
+
+/**
+ * A modal submission with text input `fields` ({ customId: value }).
+ */
+export function fakeModalInteraction(customId, fields = {}, { userId = "user-1" } = {}) {
+  const interaction = fakeInteraction({ customId, values: {}, userId, kind: "modal" });
+  interaction.fields = { getTextInputValue: (id) => fields[id] ?? "" };
+  return interaction;
+}
+
+function fakeInteraction({
+  commandName, customId, values, userId, kind = "command",
+  guildId = "guild-1", channelId = "channel-1", roles = [], admin = false
+}) {
+  let finish;
+  const interaction = {
+    id: `interaction-${Math.random().toString(36).slice(2)}`,
+    commandName,
+    customId,
+    user: { id: userId, toString: () => `<@${userId}>` },
+    member: { roles },                                      // Raw API member: role IDs
+    memberPermissions: { has: () => admin },
+    guildId,
+    channelId,
+    channel: null,
+    deferred: false,
+    replied: false,
+    replies: [],
+    finished: new Promise((resolve) => { finish = resolve; }),
+    isAutocomplete: () => false,
+    isMessageComponent: () => kind === "component",
+    isModalSubmit: () => kind === "modal",
+    isChatInputCommand: () => kind === "command",
+    isContextMenuCommand: () => kind === "context",
+    options: {
+      get: (name) => (values[name] === undefined ? null : { name, value: values[name] }),
+      getAttachment: (name) => values[name] ?? null,
+      getString: (name) => values[name] ?? null,
+      getBoolean: (name) => values[name] ?? null,
+      getInteger: (name) => values[name] ?? null,
+      getChannel: (name) => values[name] ?? null,
+      getRole: (name) => values[name] ?? null,
+      getSubcommand: () => values.subcommand
+    },
+    async deferReply() {
+      this.deferred = true;
+    },
+    async reply(payload) {
+      this.replied = true;
+      record(typeof payload === "string" ? { content: payload } : payload);
+    },
+    async editReply(payload) {
+      record(typeof payload === "string" ? { content: payload } : payload);
+    }
+  };
+
+  function record(payload) {
+    interaction.replies.push(payload);
+    if (payload.files?.length || /❌|🛑|⌛/.test(payload.content ?? "")) finish(payload);
+  }
+  return interaction;
+}
@@ -0,0 +1,224 @@
+/**
+ * vocodeCommand.test.js
+ *
+ * The /vocode and "Vocode with…" flows end to end: a fake interaction goes through the
+ * interactionCreate router, the job queue, FFmpeg and the engine. Attachment URLs point to
+ * a local HTTP server.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  sine, noise, toWav, fromWav, serveFiles, fakeAttachment, fakeMessage,
+  fakeCommandInteraction, fakeButtonInteraction, fakeContextMenuInteraction, fakeSelectInteraction, fakeModalInteraction
+} from "./support/helpers.js";
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vocoder-test-")); // temp/ and data/ go here
+process.chdir(workDir);                                          // Before the bot modules compute their paths
+
+const { loadCommands } = await import("../utils/loader.js");
+const { default: interactionCreate } = await import("../events/interactionCreate.js");
+const { TEMP_DIR } = await import("../media/ffmpeg.js");
+
+let client;
+let files;
+
+before(async () => {
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  client = {};
+  await loadCommands(client);
+  files = await serveFiles({
+    "/voice.wav": await toWav(sine(440, 0.5)),
+    "/synth.wav": await toWav(noise(0.5))
+  });
+});
+
+after(async () => {
+  await files?.close();
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// Runs an interaction through the router and waits for its final reply
+async function run(interaction) {
+  await interactionCreate.execute(interaction, client);
+  return interaction.finished;
+}
+
+const voice = () => fakeAttachment(files.url("/voice.wav"), "voice.wav", "audio/wav");
+const synth = () => fakeAttachment(files.url("/synth.wav"), "synth.wav", "audio/wav");
+
+test("/vocode renders uploaded modulator and carrier", async () => {
+  const interaction = fakeCommandInteraction("vocode", { modulator: voice(), carrier: synth(), bands: 8 });
+  const reply = await run(interaction);
+
+  assert.ok(interaction.deferred);
+  assert.match(reply.content, /Vocoding complete/);
+  assert.match(reply.content, /Bands: 8/);
+  const [file] = reply.files;
+  assert.match(file.name, /^vocoded_.+\.wav$/);
+  const out = await fromWav(file.attachment);
+  assert.equal(out.length, 0.5 * 48000);                    // Same length as the inputs
+});
+
+test("/vocode uses the built-in carrier and output format", async () => {
+  const reply = await run(fakeCommandInteraction("vocode", { modulator: voice(), carrier_preset: "square", format: "mp3" }));
+  assert.match(reply.content, /Carrier: square/);
+  assert.match(reply.files[0].name, /\.mp3$/);
+});
+
+test("/vocode attaches a preview image and re-render buttons", async () => {
+  const reply = await run(fakeCommandInteraction("vocode", { modulator: voice(), carrier: synth(), width: 50 }));
+  const image = reply.files.find((f) => f.name === "preview.png");
+  assert.ok(image.attachment.subarray(1, 4).equals(Buffer.from("PNG")));
+  assert.ok(!reply.files.some((f) => f.name.startsWith("preview.mp3"))); // Too short for a separate clip
+
+  const buttons = reply.components[0].toJSON().components.map((b) => b.custom_id);
+  assert.equal(buttons.length, 3);
+  assert.match(buttons[0], /^vocode-again:\w+:40:0$/);
+  assert.match(buttons[1], /^vocode-again:\w+:60:0$/);
+  assert.match(buttons[2], /^vocode-again:\w+:50:1$/);     // Swap
+});
+
+test("re-render buttons reuse the cached inputs", async () => {
+  const first = await run(fakeCommandInteraction("vocode", { modulator: voice(), carrier: synth() }));
+  const [, widen, swap] = first.components[0].toJSON().components.map((b) => b.custom_id);
+  const downloads = files.requests.length;
+
+  const widened = await run(fakeButtonInteraction(widen, { userId: "user-2" }));
+  assert.match(widened.content, /Width: 60%/);
+  const swapped = await run(fakeButtonInteraction(swap));
+  assert.match(swapped.content, /Modulator and carrier swapped/);
+  assert.equal(files.requests.length, downloads);           // Nothing downloaded again
+
+  const expired = fakeButtonInteraction("vocode-again:nope:50:0");
+  await interactionCreate.execute(expired, client);
+  assert.match(expired.replies[0].content, /no longer cached/);
+});
+
+test("/vocode rejects files that are not audio or video", async () => {
+  const image = fakeAttachment(files.url("/voice.wav"), "cat.png", "image/png");
+  const reply = await run(fakeCommandInteraction("vocode", { modulator: image }));
+  assert.match(reply.content, /Files must be Audio or Video/);
+});
+
+test("/vocode reports attachments that cannot be downloaded", async () => {
+  const missing = fakeAttachment(files.url("/missing.wav"), "missing.wav", "audio/wav");
+  const reply = await run(fakeCommandInteraction("vocode", { modulator: missing }));
+  assert.match(reply.content, /Could not download the modulator \(HTTP 404\)/);
+});
+
+test("/vocode cleans up a video modulator when the carrier download fails", async () => {
+  const clip = fakeAttachment(files.url("/voice.wav"), "clip.mp4", "video/mp4");
+  const missing = fakeAttachment(files.url("/missing.wav"), "missing.wav", "audio/wav");
+  const reply = await run(fakeCommandInteraction("vocode", { modulator: clip, carrier: missing, video: true }));
+  assert.match(reply.content, /Could not download the carrier \(HTTP 404\)/);
+  assert.deepEqual(await fs.readdir(TEMP_DIR), []);         // Downloaded video removed
+});
+
+test("/vocode reports an unknown preset before queueing", async () => {
+  const interaction = fakeCommandInteraction("vocode", { modulator: voice(), preset: "Nope" });
+  const reply = await run(interaction);
+  assert.match(reply.content, /Preset "Nope" not found/);
+  assert.equal(interaction.replies.length, 1);              // No queue or progress messages
+});
+
+test("/vocoder-admin restricts channels and roles, enforces the daily quota and shows stats", async () => {
+  const guild = { guildId: "guild-admin" };                 // Keeps these settings away from the other tests
+  const admin = async (values) => {
+    const interaction = fakeCommandInteraction("vocoder-admin", values, { ...guild, admin: true });
+    await interactionCreate.execute(interaction, client);
+    return interaction.replies[0];
+  };
+  const vocode = (member = {}, modulator = voice()) =>
+    run(fakeCommandInteraction("vocode", { modulator, carrier: synth() }, { ...guild, ...member }));
+
+  const denied = fakeCommandInteraction("vocoder-admin", { subcommand: "show" }, guild);
+  await interactionCreate.execute(denied, client);
+  assert.match(denied.replies[0].content, /Manage Server permission/);
+
+  assert.match((await admin({ subcommand: "channel", action: "add", channel: { id: "channel-2" } })).content, /Channels: <#channel-2>/);
+  assert.match((await vocode()).content, /not enabled in this channel/);
+  await admin({ subcommand: "channel", action: "clear" });
+
+  await admin({ subcommand: "role", action: "add", role: { id: "role-1" } });
+  assert.match((await vocode({ roles: ["role-2"] })).content, /don't have a role/);
+
+  const limits = await admin({ subcommand: "limits", daily_quota: 1 });
+  assert.match(limits.content, /Daily quota: 1 jobs per member/);
+  assert.match((await vocode({ roles: ["role-1"] })).content, /Vocoding complete/);
+  assert.match((await vocode({ roles: ["role-1"] })).content, /used all 1 of today's \/vocode jobs/);
+  const racing = await Promise.all([1, 2].map(() => vocode({ roles: ["role-1"], userId: "user-race" }))); // Simultaneous requests
+  assert.deepEqual(racing.map((reply) => /Vocoding complete/.test(reply.content)).sort(), [false, true]);
+
+  await admin({ subcommand: "limits", daily_quota: 0 });   // Unlimited
+  await vocode({ roles: ["role-1"] }, fakeAttachment(files.url("/missing.wav"), "missing.wav", "audio/wav"));
+
+  const stats = await admin({ subcommand: "stats" });
+  assert.match(stats.content, /Jobs: 3 \(2 succeeded, 1 failed, 0 cancelled\)/);
+  assert.match(stats.content, /`DOWNLOAD_FAILED`: 1/);
+  assert.match(stats.content, /Rejected before queueing\*\* \(4\)/);
+  assert.match(stats.content, /`DAILY_QUOTA`: 2\n• `ACCESS_CHANNEL`: 1\n• `ACCESS_ROLE`: 1/);
+  assert.match(stats.content, /Average render time: \d+\.\d s/);
+  assert.ok(stats.ephemeral);
+});
+
+// Opens "Vocode with…" on `message`, picks the carrier `choice` and submits `width`
+async function vocodeWith(message, choice, width = "", { history = [] } = {}) {
+  const menu = fakeContextMenuInteraction("Vocode with…", message, { history });
+  await interactionCreate.execute(menu, client);
+  const select = menu.replies[0].components[0].toJSON().components[0];
+  const value = typeof choice === "function" ? select.options.find(choice).value : choice;
+
+  const picked = fakeSelectInteraction(select.custom_id, [value]);
+  await interactionCreate.execute(picked, client);
+  return run(fakeModalInteraction(picked.modal.toJSON().custom_id, { width }));
+}
+
+test("Vocode with… needs an audio or video attachment", async () => {
+  const image = fakeAttachment(files.url("/voice.wav"), "cat.png", "image/png");
+  const interaction = fakeContextMenuInteraction("Vocode with…", fakeMessage("message-1", [image]));
+  await interactionCreate.execute(interaction, client);
+  assert.deepEqual(interaction.replies, [{ content: "❌ That message has no audio, video or voice message attachment.", ephemeral: true }]);
+});
+
+test("Vocode with… rejects unknown and other members' pickers", async () => {
+  const unknown = fakeSelectInteraction("vocode-with:nope", ["preset:square"]);
+  await interactionCreate.execute(unknown, client);
+  assert.match(unknown.replies[0].content, /picker has expired/);
+  assert.equal(unknown.modal, null);
+
+  const menu = fakeContextMenuInteraction("Vocode with…", fakeMessage("message-2", [voice()]));
+  await interactionCreate.execute(menu, client);
+  const sessionId = menu.id;
+  const stranger = fakeModalInteraction(`vocode-with-modal:${sessionId}:preset:square`, {}, { userId: "user-2" });
+  await interactionCreate.execute(stranger, client);
+  assert.match(stranger.replies[0].content, /picker has expired/);
+  assert.equal(stranger.deferred, false);                   // Nothing queued
+});
+
+test("Vocode with… uses a recent upload as the carrier", async () => {
+  const history = [fakeMessage("message-4", [synth()])];
+  const downloads = files.requests.length;
+  const reply = await vocodeWith(fakeMessage("message-3", [voice()], { voice: true }), (o) => o.label === "synth.wav", "70", { history });
+
+  assert.match(reply.content, /Vocoding complete/);
+  assert.match(reply.content, /Width: 70%/);
+  assert.doesNotMatch(reply.content, /Carrier:/);           // Carrier file instead of a built-in one
+  assert.deepEqual(files.requests.slice(downloads).sort(), ["/synth.wav", "/voice.wav"]);
+});
+
+test("Vocode with… uses a built-in carrier preset", async () => {
+  const reply = await vocodeWith(fakeMessage("message-5", [voice()]), "preset:square");
+  assert.match(reply.content, /Vocoding complete/);
+  assert.match(reply.content, /Carrier: square/);
+});
+
+test("/cancel without jobs replies privately", async () => {
+  const interaction = fakeCommandInteraction("cancel");
+  await interactionCreate.execute(interaction, client);
+  assert.deepEqual(interaction.replies, [{ content: "You have no queued or running jobs.", ephemeral: true }]);
+});
@@ -0,0 +1,265 @@
+/**
+ * vocoderEngine.test.js
+ *
+ * DSP helpers and full renders of synthetic signals.
+ */
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  runVocoder,
+  resolveVocoderOptions,
+  logFrequencies,
+  createBandAnalyzer,
+  getSoftClipCurve,
+  loopWithCrossfade,
+  applyNoiseGate,
+  DEFAULT_OPTIONS
+} from "../vocoder/vocoderEngine.js";
+import { RATE, sine, silence, noise, toWav, fromWav, peak, bandPower } from "./support/helpers.js";
+
+const CLIP_CEILING = (2 / Math.PI) * Math.atan(2);               // Soft clipper output at full scale
+
+describe("logFrequencies", () => {
+  test("starts and ends at the range limits", () => {
+    const freqs = logFrequencies(80, 7000, 16);
+    assert.equal(freqs.length, 16);
+    assert.ok(Math.abs(freqs[0] - 80) < 1e-9);
+    assert.ok(Math.abs(freqs[15] - 7000) < 1e-6);
+  });
+
+  test("spaces bands by a constant ratio", () => {
+    const freqs = logFrequencies(250, 4000, 5);
+    assert.deepEqual(freqs.map(Math.round), [250, 500, 1000, 2000, 4000]);
+  });
+});
+
+describe("createBandAnalyzer", () => {
+  const asDecoded = (samples) => ({ length: samples.length, sampleRate: RATE, numberOfChannels: 1, getChannelData: () => samples });
+  const opts = { ...DEFAULT_OPTIONS };
+  const bands = [250, 1000, 4000];
+
+  test("follows the level of the excited band only", () => {
+    const [low, mid, high] = createBandAnalyzer(asDecoded(sine(1000, 0.5)), bands, 5, opts)(RATE / 2);
+    const settled = (env) => peak(env.subarray(RATE / 4));
+    assert.ok(settled(mid) > 0.2, `1000 Hz ${settled(mid)}`); // Mean of |sin| at 0.5 is ~0.32
+    assert.ok(settled(mid) > settled(low) * 10 && settled(mid) > settled(high) * 10);
+    assert.ok(mid.every((v) => v >= 0));
+  });
+
+  test("gives the same envelopes in blocks as in one pass", () => {
+    const input = asDecoded(noise(0.3));
+    const whole = createBandAnalyzer(input, bands, 5, opts)(0.3 * RATE);
+    const next = createBandAnalyzer(input, bands, 5, opts);
+    const [first, second] = [next(0.1 * RATE), next(0.2 * RATE)];
+    bands.forEach((_, b) => assert.deepEqual(Float32Array.from([...first[b], ...second[b]]), whole[b]));
+  });
+
+  test("stays silent for the modulator offset", () => {
+    const [env] = createBandAnalyzer(asDecoded(sine(250, 0.2)), [250], 5, { ...opts, modOffset: 0.1 })(0.3 * RATE);
+    assert.equal(peak(env.subarray(0, 0.1 * RATE)), 0);
+    assert.ok(peak(env.subarray(0.2 * RATE)) > 0.1);
+  });
+});
+
+describe("getSoftClipCurve", () => {
+  const curve = getSoftClipCurve(RATE);
+
+  test("stays inside the clip ceiling", () => {
+    assert.ok(peak(curve) <= CLIP_CEILING + 1e-6);
+  });
+
+  test("is monotonic and odd around zero", () => {
+    for (let i = 1; i < curve.length; i++) assert.ok(curve[i] >= curve[i - 1]);
+    assert.equal(curve[32768], 0);
+    assert.ok(Math.abs(curve[32768 + 1000] + curve[32768 - 1000]) < 1e-6);
+  });
+});
+
+describe("resolveVocoderOptions", () => {
+  test("fills defaults", () => {
+    const opts = resolveVocoderOptions({ bands: 24 });
+    assert.equal(opts.bands, 24);
+    assert.equal(opts.width, DEFAULT_OPTIONS.width);
+    assert.deepEqual(opts.compressor, { ...DEFAULT_OPTIONS.compressor });
+  });
+
+  test("rejects out-of-range and inconsistent values", () => {
+    assert.throws(() => resolveVocoderOptions({ bands: 2 }), /bands/);
+    assert.throws(() => resolveVocoderOptions({ bands: 10.5 }), /whole number/);
+    assert.throws(() => resolveVocoderOptions({ minFreq: 5000, maxFreq: 1000 }), /lower/);
+    assert.throws(() => resolveVocoderOptions({ compressor: { ratio: 50 } }), /compressor.ratio/);
+    assert.throws(() => resolveVocoderOptions({ lengthMode: "longest" }), /lengthMode/);
+    assert.throws(() => resolveVocoderOptions({ dryMix: 150 }), /dryMix/);
+    assert.throws(() => resolveVocoderOptions({ gateDb: 6 }), /gateDb/);
+    assert.throws(() => resolveVocoderOptions({ spread: 40 }), /"spread" needs stereo:true/);
+    assert.throws(() => resolveVocoderOptions({ stereo: false, spread: 40 }), /"spread" needs stereo:true/);
+    assert.equal(resolveVocoderOptions({ stereo: true, spread: 40 }).spread, 40);
+    assert.equal(resolveVocoderOptions({ spread: 0 }).stereo, false);
+  });
+});
+
+describe("loopWithCrossfade", () => {
+  const asDecoded = (samples) => ({ length: samples.length, sampleRate: RATE, numberOfChannels: 1, getChannelData: () => samples });
+
+  test("fills the target length", () => {
+    const looped = loopWithCrossfade(asDecoded(noise(0.2)), RATE);
+    assert.equal(looped.length, RATE);
+    assert.equal(looped.getChannelData(0).length, RATE);
+  });
+
+  test("has no jump at the seams", () => {
+    const tone = sine(441.3, 0.25);                         // Does not loop on a whole cycle
+    const looped = loopWithCrossfade(asDecoded(tone), RATE).getChannelData(0);
+    const maxStep = (s) => s.reduce((max, x, i) => (i ? Math.max(max, Math.abs(x - s[i - 1])) : 0), 0);
+    assert.ok(maxStep(looped) < maxStep(tone) * 2, `step ${maxStep(looped)}`); // A hard seam jumps ~30x
+  });
+});
+
+describe("applyNoiseGate", () => {
+  const asDecoded = (samples) => ({ length: samples.length, sampleRate: RATE, numberOfChannels: 1, getChannelData: () => samples });
+
+  test("mutes quiet noise and keeps the voice", () => {
+    const hiss = noise(0.5, 0.003);                         // About -50 dB
+    const input = Float32Array.from([...hiss, ...sine(440, 0.5), ...hiss]);
+    const gated = applyNoiseGate(asDecoded(input), -30).getChannelData(0);
+    assert.ok(peak(gated.subarray(0, 0.4 * RATE)) < 1e-4);  // Before the voice
+    assert.ok(peak(gated.subarray(0.6 * RATE, 0.9 * RATE)) > 0.49); // Voice untouched
+    assert.ok(peak(gated.subarray(1.35 * RATE)) < 1e-4);    // Closed again after hold + release
+  });
+
+  test("fades instead of clicking", () => {
+    const gated = applyNoiseGate(asDecoded(Float32Array.from([...silence(0.1), ...sine(440, 0.2)])), -30).getChannelData(0);
+    const maxStep = gated.reduce((max, x, i) => (i ? Math.max(max, Math.abs(x - gated[i - 1])) : 0), 0);
+    assert.ok(maxStep < 0.06, `step ${maxStep}`);           // A 440 Hz sine steps ~0.029 per sample
+  });
+});
+
+describe("runVocoder", () => {
+  test("a silent modulator gives silence", async () => {
+    const out = await fromWav(await runVocoder(await toWav(silence(0.5)), await toWav(noise(0.5))));
+    assert.ok(peak(out.channels[0]) < 1e-3, `peak ${peak(out.channels[0])}`);
+  });
+
+  test("output length equals the shorter input", async () => {
+    const modShorter = await fromWav(await runVocoder(await toWav(sine(440, 0.25)), await toWav(noise(0.5))));
+    const carShorter = await fromWav(await runVocoder(await toWav(sine(440, 0.5)), await toWav(noise(0.3))));
+    assert.equal(modShorter.length, Math.floor(0.25 * RATE));
+    assert.equal(carShorter.length, Math.floor(0.3 * RATE));
+  });
+
+  test("length modes follow the modulator or the carrier", async () => {
+    const mod = await toWav(sine(440, 0.5));
+    const car = await toWav(noise(0.2));
+    for (const carrierFit of ["loop", "crossfade", "stretch"]) {
+      const out = await fromWav(await runVocoder(mod, car, { lengthMode: "modulator", carrierFit }));
+      assert.equal(out.length, 0.5 * RATE, carrierFit);
+    }
+    const carrierLength = await fromWav(await runVocoder(await toWav(sine(440, 0.2)), await toWav(noise(0.5)), { lengthMode: "carrier" }));
+    assert.equal(carrierLength.length, 0.5 * RATE);
+  });
+
+  test("offsets delay an input", async () => {
+    const mod = await toWav(sine(440, 0.5));
+    const car = await toWav(noise(0.5));
+    const delayedCarrier = await fromWav(await runVocoder(mod, car, { lengthMode: "carrier", carOffset: 0.25 }));
+    assert.equal(delayedCarrier.length, 0.75 * RATE);
+    assert.ok(peak(delayedCarrier.channels[0].subarray(0, 0.2 * RATE)) < 1e-3); // Nothing before the carrier starts
+    await assert.rejects(() => runVocoder(mod, car, { modOffset: 1 }), /overlap/);
+  });
+
+  test("a single-band tone comes out mostly in that band", async () => {
+    // Band centers 250, 500, 1000, 2000, 4000 Hz; the modulator only excites 1000 Hz
+    const options = { bands: 5, minFreq: 250, maxFreq: 4000, width: 0 };
+    const out = await fromWav(await runVocoder(await toWav(sine(1000, 1)), await toWav(noise(1)), options));
+    const samples = out.channels[0].subarray(RATE / 10);    // Skip the attack
+    const inBand = bandPower(samples, 1000);
+    for (const other of [250, 500, 2000, 4000]) {
+      const outOfBand = bandPower(samples, other);
+      assert.ok(inBand > outOfBand * 10, `1000 Hz ${inBand} vs ${other} Hz ${outOfBand}`);
+    }
+  });
+
+  test("envelopes continue across analysis blocks", async () => {
+    const out = await fromWav(await runVocoder(await toWav(sine(1000, 2.5)), await toWav(sine(1000, 2.5)), { bands: 8 }));
+    const samples = out.channels[0];
+    const windows = [];
+    for (let start = RATE / 2; start + RATE / 100 <= 2.4 * RATE; start += RATE / 100) {
+      windows.push(peak(samples.subarray(start, start + RATE / 100))); // 10 ms windows, across the 1 s and 2 s seams
+    }
+    const [min, max] = [Math.min(...windows), Math.max(...windows)];
+    assert.ok(min > 0.9 * max, `window peaks ${min}..${max}`);
+  });
+
+  test("reports progress at every envelope block", async () => {
+    const progress = [];
+    await runVocoder(await toWav(noise(3)), await toWav(sine(200, 3)), { bands: 8 }, { onProgress: (fraction) => progress.push(fraction) });
+    assert.deepEqual(progress.map((fraction) => fraction.toFixed(2)), ["0.33", "0.67"]);
+  });
+
+  test("stops mid-render with the signal's reason when aborted", async () => {
+    const controller = new AbortController();
+    const reason = Object.assign(new Error("Job cancelled."), { code: "JOB_CANCELLED" });
+    const progress = [];
+    const onProgress = (fraction) => {
+      progress.push(fraction);
+      controller.abort(reason);                             // Abort once rendering is under way
+    };
+    const render = runVocoder(await toWav(noise(6)), await toWav(sine(200, 6)), { bands: 8 }, { signal: controller.signal, onProgress });
+    await assert.rejects(render, { code: "JOB_CANCELLED" });
+    assert.equal(progress.length, 1);                       // No block scheduled after the abort
+  });
+
+  test("levels stay within the limiter's bounds", async () => {
+    const loud = { makeupDb: 24, compressor: { threshold: 0, ratio: 1 } }; // No compression, max makeup
+    const out = await fromWav(await runVocoder(await toWav(noise(0.5, 1)), await toWav(noise(0.5, 1, RATE, 7)), loud));
+    assert.ok(peak(out.channels[0]) <= CLIP_CEILING + 1e-3, `peak ${peak(out.channels[0])}`);
+  });
+
+  test("sibilance passes the voice above the bands", async () => {
+    const mod = await toWav(noise(0.5));
+    const car = await toWav(sine(200, 0.5));                // Nothing above the bands
+    const options = { maxFreq: 4000 };
+    const plain = await fromWav(await runVocoder(mod, car, options));
+    const withSibilance = await fromWav(await runVocoder(mod, car, { ...options, sibilance: 100 }));
+    const highs = (out) => bandPower(out.channels[0].subarray(RATE / 10), 10000);
+    assert.ok(highs(withSibilance) > highs(plain) * 100, `${highs(withSibilance)} vs ${highs(plain)}`);
+  });
+
+  test("dry mix 100 returns the voice", async () => {
+    const out = await fromWav(await runVocoder(await toWav(sine(440, 0.5, 0.1)), await toWav(noise(0.5)), { dryMix: 100 }));
+    const samples = out.channels[0].subarray(RATE / 10);
+    assert.ok(bandPower(samples, 440) > bandPower(samples, 2000) * 100); // No carrier noise left
+  });
+
+  test("the noise gate keeps a hiss from opening the bands", async () => {
+    const out = await fromWav(await runVocoder(await toWav(noise(0.5, 0.003)), await toWav(noise(0.5, 0.5, RATE, 7)), { gateDb: -30 }));
+    assert.ok(peak(out.channels[0]) < 1e-3, `peak ${peak(out.channels[0])}`);
+  });
+
+  test("stereo mode spreads a mono carrier over both channels", async () => {
+    // Band centers 250, 500, 1000, 2000 Hz: even bands lean left, odd bands right; the voice excites 250 and 2000 Hz
+    const options = { stereo: true, bands: 4, minFreq: 250, maxFreq: 2000, width: 20 };
+    const mod = await toWav(Float32Array.from(sine(250, 0.5, 0.25), (x, i) => x + 0.25 * Math.sin((2 * Math.PI * 2000 * i) / RATE)));
+    const car = await toWav(noise(0.5));
+    const balance = (out, freq) => bandPower(out.channels[0].subarray(RATE / 10), freq) / bandPower(out.channels[1].subarray(RATE / 10), freq);
+
+    const centered = await fromWav(await runVocoder(mod, car, options));
+    assert.ok(peak(centered.channels[0]) > 0.01 && peak(centered.channels[1]) > 0.01); // Both sides carry the mono carrier
+    assert.ok(Math.abs(Math.log10(balance(centered, 250))) < 0.1, `250 Hz L/R ${balance(centered, 250)}`);
+
+    const spread = await fromWav(await runVocoder(mod, car, { ...options, spread: 80 }));
+    assert.ok(balance(spread, 250) > 5, `250 Hz L/R ${balance(spread, 250)}`);    // Left
+    assert.ok(balance(spread, 2000) < 0.2, `2000 Hz L/R ${balance(spread, 2000)}`); // Right
+  });
+
+  test("stereo mode keeps each carrier channel on its own side", async () => {
+    const car = await toWav([sine(500, 0.5), sine(2000, 0.5)]); // Left 500 Hz, right 2000 Hz
+    const out = await fromWav(await runVocoder(await toWav(noise(0.5)), car, { stereo: true, width: 50 }));
+    assert.equal(out.channels.length, 2);
+    const [left, right] = out.channels.map((samples) => samples.subarray(RATE / 10));
+    assert.ok(peak(left) > 0.01 && peak(right) > 0.01, `peaks ${peak(left)} / ${peak(right)}`);
+    assert.ok(bandPower(left, 500) > bandPower(left, 2000) * 100, "left carries the left carrier");
+    assert.ok(bandPower(right, 2000) > bandPower(right, 500) * 100, "right carries the right carrier");
+  });
+});
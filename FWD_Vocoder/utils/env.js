@@ -0,0 +1,12 @@
+/**
+ * env.js
+ *
+ * Helpers for reading numeric settings from environment variables.
+ * Read lazily (at call time) so values from .env are already loaded.
+ */
+
+// Positive integer from `name`, or `fallback` when unset/invalid
+export function readIntEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name] ?? "", 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
@@ -0,0 +1,81 @@
+/**
+ * loader.js
+ *
+ * Discovers command modules in commands/ and event modules in events/,
+ * and registers the slash commands with Discord.
+ *
+ * Command module: export default { data, execute(interaction), autocomplete?(interaction), components? }
+ *   components maps a custom ID prefix to a handler for buttons, select menus and modals
+ *   whose custom ID is "<prefix>" or "<prefix>:<data>".
+ * Event module:   export default { name, once?, execute(...args, client) }
+ */
+
+import { Collection, REST, Routes } from "discord.js";          // Discord.js v14
+import { promises as fs } from "fs";                             // File system promises API
+import path from "path";                                         // Path utilities
+import { fileURLToPath, pathToFileURL } from "url";              // ESM path helpers
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), ".."); // FWD_Vocoder/
+
+/**
+ * Loads commands/*.js into client.commands (by name) and client.components (by custom ID prefix).
+ */
+export async function loadCommands(client) {
+  client.commands = new Collection();
+  client.components = new Collection();
+
+  for (const command of await importDir("commands")) {
+    if (!command?.data || typeof command.execute !== "function") {
+      throw new Error(`Command module "${command?.file}" needs data and execute.`);
+    }
+    client.commands.set(command.data.name, command);
+    for (const [prefix, handler] of Object.entries(command.components ?? {})) {
+      if (client.components.has(prefix)) throw new Error(`Component ID "${prefix}" is used twice.`);
+      client.components.set(prefix, handler);
+    }
+  }
+  return client.commands;
+}
+
+/**
+ * Attaches events/*.js to the client.
+ */
+export async function loadEvents(client) {
+  const events = await importDir("events");
+  for (const event of events) {
+    const listener = (...args) => event.execute(...args, client);
+    if (event.once) client.once(event.name, listener);
+    else client.on(event.name, listener);
+  }
+  return events.length;
+}
+
+/**
+ * Registers every loaded command. With DEV_GUILD_ID set, commands are registered to that guild
+ * only (updates show up instantly); otherwise globally.
+ * Returns where they were registered ("guild <id>" or "globally").
+ */
+export async function registerCommands(client) {
+  const body = client.commands.map((command) => command.data.toJSON());
+  const guildId = process.env.DEV_GUILD_ID;
+  const rest = new REST({ version: "10" }).setToken(client.token); // REST client for Discord API
+
+  if (guildId) {
+    await rest.put(Routes.applicationGuildCommands(client.user.id, guildId), { body });
+    return `guild ${guildId}`;
+  }
+  await rest.put(Routes.applicationCommands(client.user.id), { body });
+  return "globally";
+}
+
+// HELPER FUNCTIONS
+async function importDir(dirName) {
+  const dir = path.join(ROOT_DIR, dirName);
+  const files = (await fs.readdir(dir)).filter((file) => file.endsWith(".js")).sort();
+  const modules = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    modules.push(Object.assign({ file }, mod.default));     // File name for error messages
+  }
+  return modules;
+}
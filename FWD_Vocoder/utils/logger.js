@@ -0,0 +1,38 @@
+/**
+ * logger.js
+ *
+ * Structured logging: one JSON object per line, e.g.
+ * {"time":"...","level":"error","scope":"queue","msg":"Job failed","jobId":"...","err":{"message":"..."}}
+ * Warnings and errors go to stderr, the rest to stdout.
+ * LOG_LEVEL (debug, info, warn, error; default info) is read at call time, after dotenv has loaded.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * A logger whose lines carry `scope` (e.g. "bot", "queue").
+ * Each method takes a message and optional fields; Error values are expanded.
+ */
+export function createLogger(scope) {
+  const at = (level) => (msg, fields = {}) => write(level, scope, msg, fields);
+  return { debug: at("debug"), info: at("info"), warn: at("warn"), error: at("error") };
+}
+
+// HELPER FUNCTIONS
+function write(level, scope, msg, fields) {
+  if (LEVELS[level] < minLevel()) return;
+  const entry = { time: new Date().toISOString(), level, scope, msg };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+function minLevel() {
+  return LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+}
+
+function serializeError(err) {
+  return { message: err.message, code: err.code, stack: err.stack }; // Missing code is dropped
+}
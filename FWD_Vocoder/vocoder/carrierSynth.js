@@ -0,0 +1,306 @@
+/**
+ * carrierSynth.js
+ *
+ * Built-in carrier generator for the vocoder.
+ * Renders oscillator, noise or chord carriers at the modulator's length,
+ * so /vocode works with only a voice file. With a key or harmony set, the
+ * oscillator follows the modulator's melody instead (pitch-tracking carrier).
+ */
+
+import decodeAudio from "audio-decode";                          // For reading the modulator length
+import WavEncoder from "wav-encoder";                            // For encoding output to WAV format
+import {
+  detectPitch, fillUnvoiced, parseKey, parseHarmony, quantizeMidi, freqToMidi, midiToFreq
+} from "./pitchTracker.js";                                      // Pitch tracking
+
+const WORK_RATE = 48000;                                         // Matches the vocoder engine rate
+const OUTPUT_PEAK = 0.8;                                         // Headroom for the summed voices
+
+export const CARRIER_PRESETS = ["sawtooth", "square", "pulse", "supersaw", "white", "pink"];
+const NOISE_PRESETS = ["white", "pink"];                         // Presets without pitch
+const DEFAULT_NOTE = 48;                                         // C3, a comfortable robot voice pitch
+const MAX_NOTES = 8;                                             // Chord size limit
+const SUPERSAW_VOICES = 7;                                       // Oscillators per supersaw note
+const SUPERSAW_SPREAD = 20;                                      // Default supersaw detune (cents)
+const NOTE_HYSTERESIS = 0.2;                                     // Semitones past the midpoint before a quantized note changes
+
+const NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }; // Semitones from C
+
+/**
+ * Converts a note name ("C4", "f#3", "Bb2") or MIDI number ("60") to a MIDI number.
+ * Returns null when the token is not a note.
+ */
+export function noteToMidi(token) {
+  const text = String(token).trim();
+  if (/^\d{1,3}$/.test(text)) {
+    const midi = Number(text);                              // Plain MIDI number
+    return midi <= 127 ? midi : null;
+  }
+
+  const match = /^([a-gA-G])([#b]?)(-?\d)$/.exec(text);      // Letter, accidental, octave
+  if (!match) return null;
+  const [, letter, accidental, octave] = match;
+  const accidentalOffset = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+  const midi = (Number(octave) + 1) * 12 + NOTE_OFFSETS[letter.toLowerCase()] + accidentalOffset;
+  return midi >= 0 && midi <= 127 ? midi : null;            // Scientific pitch: C4 = 60
+}
+
+/**
+ * Parses a chord string such as "C3 E3 G3", "48,52,55" or "C3 G3 detune=12".
+ * Returns { notes: number[], detune: number } or throws a user-facing Error.
+ */
+export function parseChord(text) {
+  const tokens = String(text).split(/[\s,]+/).filter(Boolean); // Space or comma separated
+  const notes = [];
+  let detune = 0;
+
+  for (const token of tokens) {
+    const detuneMatch = /^detune=(\d+(?:\.\d+)?)$/i.exec(token);
+    if (detuneMatch) {
+      detune = Number(detuneMatch[1]);                      // Cents
+      continue;
+    }
+    const midi = noteToMidi(token);
+    if (midi === null) throw new Error(`"${token}" is not a valid note. Use names like C4, F#3 or MIDI numbers.`);
+    notes.push(midi);
+  }
+
+  if (notes.length === 0) throw new Error("Chord must contain at least one note.");
+  if (notes.length > MAX_NOTES) throw new Error(`Chords can have at most ${MAX_NOTES} notes.`);
+  if (detune > 100) throw new Error("Detune must be between 0 and 100 cents.");
+  return { notes, detune };                                 // Parsed chord
+}
+
+/**
+ * Validates carrier options and fills defaults.
+ * options: { preset, chord, key, harmony } where chord is a string or { notes, detune }.
+ * Setting key and/or harmony turns on pitch tracking (`tracking` is null otherwise).
+ */
+export function resolveCarrierOptions(options = {}) {
+  const preset = options.preset ?? "sawtooth";              // Default carrier
+  if (!CARRIER_PRESETS.includes(preset)) {
+    throw new Error(`Unknown carrier preset "${preset}".`);
+  }
+
+  const chord = typeof options.chord === "string" ? parseChord(options.chord) : options.chord;
+  if (chord && NOISE_PRESETS.includes(preset)) {
+    throw new Error("Noise carriers can't play a chord. Pick an oscillator preset instead.");
+  }
+
+  const tracking = resolveTracking(options);
+  if (tracking && chord) throw new Error("Use either chord or key/harmony, not both.");
+  if (tracking && NOISE_PRESETS.includes(preset)) {
+    throw new Error("Noise carriers can't follow the voice pitch. Pick an oscillator preset instead.");
+  }
+
+  return {
+    preset,
+    notes: NOISE_PRESETS.includes(preset) ? [] : chord?.notes ?? [DEFAULT_NOTE], // Noise has no pitch
+    detune: chord?.detune ?? 0,
+    tracking                                                // { key, harmony } or null
+  };                                                        // Resolved carrier options
+}
+
+/**
+ * Synthesizes a mono carrier signal.
+ * Returns a Float32Array of `length` samples at `sampleRate`.
+ */
+export function synthesizeCarrier(options, length, sampleRate = WORK_RATE) {
+  const { preset, notes, detune } = resolveCarrierOptions(options);
+  const out = new Float32Array(length);                     // Output signal
+
+  if (preset === "white") fillWhiteNoise(out);
+  else if (preset === "pink") fillPinkNoise(out);
+  else {
+    const voices = buildVoices(preset, notes, detune);      // { freq, phase } per oscillator
+    const wave = WAVEFORMS[preset === "supersaw" ? "sawtooth" : preset];
+    for (const voice of voices) {
+      const dt = voice.freq / sampleRate;                   // Phase increment
+      let phase = voice.phase;
+      for (let i = 0; i < length; i++) {
+        out[i] += wave(phase, dt);
+        phase += dt;
+        if (phase >= 1) phase -= 1;                         // Wrap phase
+      }
+    }
+    const scale = OUTPUT_PEAK / Math.sqrt(voices.length);   // Keep summed level steady
+    for (let i = 0; i < length; i++) out[i] *= scale;
+  }
+
+  return normalizePeak(out);                                // Never exceed OUTPUT_PEAK
+}
+
+/**
+ * Synthesizes a mono carrier that follows a pitch contour from detectPitch,
+ * snapped to the key's scale and with one extra oscillator per harmony interval.
+ * Returns a Float32Array of `length` samples at `sampleRate`.
+ */
+export function synthesizeTrackingCarrier(options, contour, length, sampleRate = WORK_RATE) {
+  const { preset, detune, tracking } = resolveCarrierOptions(options);
+  if (!tracking) throw new Error("Pitch tracking needs a key or harmony.");
+  const pitches = fillUnvoiced(contour.pitches) ?? new Float32Array([midiToFreq(DEFAULT_NOTE)]); // Nothing voiced: default note
+  const out = new Float32Array(length);                     // Output signal
+  const wave = WAVEFORMS[preset === "supersaw" ? "sawtooth" : preset];
+  const detuneVoices = buildVoices(preset, [69], detune);   // Detuned copies around A4 (ratio = freq / 440)
+
+  for (const interval of [0, ...tracking.harmony]) {
+    const curve = noteCurve(pitches, interval, tracking.key); // Frequency per frame
+    for (const voice of detuneVoices) {
+      const ratio = voice.freq / 440;
+      let phase = voice.phase;
+      for (let i = 0; i < length; i++) {
+        const frame = (i / sampleRate - contour.offset) * contour.frameRate; // Position in the contour
+        const dt = (interpolate(curve, frame) * ratio) / sampleRate;
+        out[i] += wave(phase, dt);
+        phase += dt;
+        if (phase >= 1) phase -= 1;                         // Wrap phase
+      }
+    }
+  }
+
+  const scale = OUTPUT_PEAK / Math.sqrt(detuneVoices.length * (tracking.harmony.length + 1)); // Keep summed level steady
+  for (let i = 0; i < length; i++) out[i] *= scale;
+  return normalizePeak(out);                                // Never exceed OUTPUT_PEAK
+}
+
+/**
+ * Renders a carrier matching the modulator's length and sample rate.
+ * Returns a WAV Buffer ready for runVocoder.
+ */
+export async function renderCarrier(modArrayBuf, options = {}) {
+  const modDecoded = await decodeAudio(modArrayBuf);        // Decode modulator for its length
+  const { tracking } = resolveCarrierOptions(options);
+  const carrier = tracking
+    ? synthesizeTrackingCarrier(options, detectPitch(mixToMono(modDecoded), modDecoded.sampleRate), modDecoded.length, modDecoded.sampleRate)
+    : synthesizeCarrier(options, modDecoded.length, modDecoded.sampleRate);
+
+  const wavData = await WavEncoder.encode({
+    sampleRate: modDecoded.sampleRate,
+    channelData: [carrier]
+  });                                                       // Encode to WAV
+  return Buffer.from(wavData);                              // Return as Node.js Buffer
+}
+
+// OSCILLATOR VOICES
+function buildVoices(preset, notes, detune) {
+  const voices = [];
+  for (const note of notes) {
+    const freq = midiToFreq(note);                          // Base frequency
+    if (preset === "supersaw") {
+      const spread = detune || SUPERSAW_SPREAD;             // Supersaw is always detuned
+      for (let v = 0; v < SUPERSAW_VOICES; v++) {
+        const cents = spread * ((2 * v) / (SUPERSAW_VOICES - 1) - 1); // -spread .. +spread
+        voices.push({ freq: freq * centsToRatio(cents), phase: v / SUPERSAW_VOICES });
+      }
+    } else if (detune > 0) {
+      voices.push({ freq: freq * centsToRatio(-detune), phase: 0 });
+      voices.push({ freq: freq * centsToRatio(detune), phase: 0.5 }); // Detuned pair
+    } else {
+      voices.push({ freq, phase: 0 });                      // Single oscillator
+    }
+  }
+  return voices;                                            // Oscillator list
+}
+
+// PITCH TRACKING
+function resolveTracking({ key, harmony }) {
+  if (!key && !harmony) return null;                        // Fixed-pitch carrier
+  return { key: parseKey(key ?? "none"), harmony: parseHarmony(harmony) };
+}
+
+// Detected pitch + interval, snapped to the key with a little hysteresis so
+// notes near the middle of two scale steps don't flutter. Returns Hz per frame.
+function noteCurve(pitches, interval, key) {
+  const curve = new Float32Array(pitches.length);
+  let current = null;                                       // Last quantized note
+  for (let i = 0; i < pitches.length; i++) {
+    const midi = freqToMidi(pitches[i]) + interval;
+    const nearest = quantizeMidi(midi, key);                // Unchanged without a scale
+    if (current === null || !key.scale || Math.abs(midi - nearest) + NOTE_HYSTERESIS < Math.abs(midi - current)) {
+      current = nearest;
+    }
+    curve[i] = midiToFreq(current);
+  }
+  return curve;
+}
+
+// Linear interpolation between frames, clamped at both ends
+function interpolate(curve, position) {
+  if (position <= 0) return curve[0];
+  if (position >= curve.length - 1) return curve[curve.length - 1];
+  const i = Math.floor(position);
+  const frac = position - i;
+  return curve[i] + (curve[i + 1] - curve[i]) * frac;
+}
+
+function mixToMono(decoded) {
+  if (decoded.numberOfChannels === 1) return decoded.getChannelData(0);
+  const mono = new Float32Array(decoded.length);
+  for (let ch = 0; ch < decoded.numberOfChannels; ch++) {
+    const data = decoded.getChannelData(ch);
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / decoded.numberOfChannels;
+  }
+  return mono;
+}
+
+// Band-limited waveforms (PolyBLEP) to avoid aliasing on high notes
+const WAVEFORMS = {
+  sawtooth: (t, dt) => 2 * t - 1 - polyBlep(t, dt),
+  square: (t, dt) => pulseWave(t, dt, 0.5),
+  pulse: (t, dt) => pulseWave(t, dt, 0.25)
+};
+
+function pulseWave(t, dt, duty) {
+  let v = t < duty ? 1 : -1;                                // Naive pulse
+  v += polyBlep(t, dt);                                     // Rising edge
+  v -= polyBlep((t + 1 - duty) % 1, dt);                    // Falling edge
+  return v - (2 * duty - 1);                                // Remove DC offset
+}
+
+function polyBlep(t, dt) {
+  if (t < dt) {
+    const x = t / dt;
+    return x + x - x * x - 1;
+  }
+  if (t > 1 - dt) {
+    const x = (t - 1) / dt;
+    return x * x + x + x + 1;
+  }
+  return 0;                                                 // Away from discontinuity
+}
+
+// NOISE
+function fillWhiteNoise(out) {
+  for (let i = 0; i < out.length; i++) out[i] = Math.random() * 2 - 1;
+}
+
+function fillPinkNoise(out) {
+  // Paul Kellet's refined pink noise filter
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < out.length; i++) {
+    const white = Math.random() * 2 - 1;
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.969 * b2 + white * 0.153852;
+    b3 = 0.8665 * b3 + white * 0.3104856;
+    b4 = 0.55 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.016898;
+    out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+    b6 = white * 0.115926;
+  }
+}
+
+// HELPER FUNCTIONS
+function normalizePeak(out) {
+  let peak = 0;
+  for (let i = 0; i < out.length; i++) peak = Math.max(peak, Math.abs(out[i]));
+  if (peak > OUTPUT_PEAK) {
+    const scale = OUTPUT_PEAK / peak;
+    for (let i = 0; i < out.length; i++) out[i] *= scale;
+  }                                                         // Scale down only
+  return out;
+}
+
+function centsToRatio(cents) {
+  return Math.pow(2, cents / 1200);
+}
@@ -0,0 +1,248 @@
+/**
+ * params.js
+ *
+ * Shared vocoder parameter definitions.
+ * One list drives the /vocode and /preset save slash options, and the
+ * helpers below turn a plain { option_name: value } object into
+ * engine, carrier and output options.
+ * `advanced` parameters are left off /vocode (Discord allows 25 options per command);
+ * they are set through presets, the CLI and the HTTP API.
+ */
+
+import { resolveVocoderOptions } from "./vocoderEngine.js";    // Engine validation
+import { resolveCarrierOptions, CARRIER_PRESETS } from "./carrierSynth.js"; // Built-in carriers
+import { resolveOutputOptions, OUTPUT_FORMATS, BITRATES } from "../media/outputEncoder.js"; // Output formats
+
+// length_mode choices -> engine lengthMode/carrierFit
+const LENGTH_MODE_CHOICES = {
+  shortest: { label: "Shortest input (cut)", lengthMode: "shortest" },
+  modulator: { label: "Voice length, loop carrier", lengthMode: "modulator", carrierFit: "loop" },
+  modulator_crossfade: { label: "Voice length, crossfaded carrier loop", lengthMode: "modulator", carrierFit: "crossfade" },
+  modulator_stretch: { label: "Voice length, stretch carrier (lowers pitch)", lengthMode: "modulator", carrierFit: "stretch" },
+  carrier: { label: "Carrier length", lengthMode: "carrier" }
+};
+
+// Slash option definitions, in the order they appear in Discord
+export const PARAM_OPTIONS = [
+  {
+    name: "carrier_preset", type: "String",
+    description: "Built-in carrier when no carrier file is given. Default: sawtooth",
+    choices: CARRIER_PRESETS.map((p) => ({ name: p, value: p }))
+  },
+  {
+    name: "chord", type: "String", maxLength: 100,
+    description: "Notes for the built-in carrier, e.g. \"C3 E3 G3\", \"48,52,55\" or \"C3 G3 detune=12\""
+  },
+  {
+    name: "key", type: "String", maxLength: 40,
+    description: "Carrier follows the voice, snapped to a key: \"C minor\", \"F# major\", \"chromatic\" or \"none\""
+  },
+  {
+    name: "harmony", type: "String", maxLength: 40,
+    description: "Extra voices following the melody, in semitones, e.g. \"+4 +7\" or \"-12\""
+  },
+  { name: "width", type: "Integer", min: 0, max: 100, description: "Bandwidth (0-100). Default: 50" },
+  { name: "bands", type: "Integer", min: 4, max: 64, description: "Number of bands (4-64). Default: 16" },
+  { name: "min_freq", type: "Integer", min: 20, max: 20000, description: "Lowest band frequency in Hz (20-20000). Default: 80" },
+  { name: "max_freq", type: "Integer", min: 20, max: 20000, description: "Highest band frequency in Hz (20-20000). Default: 7000" },
+  { name: "attack_ms", type: "Number", min: 0.5, max: 1000, description: "Envelope attack in ms (0.5-1000). Default: 10" },
+  { name: "release_ms", type: "Number", min: 1, max: 2000, description: "Envelope release in ms (1-2000). Default: 50" },
+  { name: "comp_threshold", type: "Number", min: -100, max: 0, advanced: true, description: "Compressor threshold in dB (-100-0). Default: -24" },
+  { name: "comp_ratio", type: "Number", min: 1, max: 20, advanced: true, description: "Compressor ratio (1-20). Default: 12" },
+  { name: "makeup_db", type: "Number", min: -12, max: 24, description: "Makeup gain in dB (-12-24). Default: 12" },
+  { name: "stereo", type: "Boolean", description: "Stereo output, keeping the carrier's channels. Default: mono" },
+  { name: "spread", type: "Integer", min: 0, max: 100, description: "Stereo only: pan bands alternately left and right (0-100). Default: 0" },
+  { name: "sibilance", type: "Integer", min: 0, max: 100, description: "Pass the voice's \"s\"/\"t\" sounds above the bands (0-100). Default: 0" },
+  { name: "dry_mix", type: "Integer", min: 0, max: 100, description: "Unprocessed voice in the mix (0-100, 100 = voice only). Default: 0" },
+  { name: "gate_db", type: "Number", min: -100, max: 0, description: "Noise gate: mute the voice below this level in dB (-100-0). Default: off" },
+  {
+    name: "length_mode", type: "String",
+    description: "Which input sets the output length. Default: shortest",
+    choices: Object.entries(LENGTH_MODE_CHOICES).map(([value, c]) => ({ name: c.label, value }))
+  },
+  {
+    name: "offset_ms", type: "Integer", min: -30000, max: 30000,
+    description: "Positive: carrier starts later. Negative: modulator is delayed (ms)"
+  },
+  {
+    name: "format", type: "String",
+    description: "Output file format. Default: wav",
+    choices: Object.entries(OUTPUT_FORMATS).map(([value, f]) => ({ name: f.label, value }))
+  },
+  {
+    name: "bitrate", type: "Integer",
+    description: "Bitrate in kbps for MP3/OGG. Default: 192 (MP3), 128 (OGG)",
+    choices: BITRATES.map((b) => ({ name: `${b} kbps`, value: b }))
+  }
+];
+
+export const PARAM_NAMES = PARAM_OPTIONS.map((p) => p.name);
+const CARRIER_PARAMS = ["carrier_preset", "chord", "key", "harmony"]; // Only used without a carrier file
+
+/**
+ * Adds the parameters as optional slash options to a command or subcommand builder.
+ * `advanced: false` leaves out the advanced ones.
+ */
+export function addParamOptions(builder, { advanced = true } = {}) {
+  for (const param of PARAM_OPTIONS.filter((p) => advanced || !p.advanced)) {
+    builder[`add${param.type}Option`]((o) => {
+      o.setName(param.name).setDescription(param.description).setRequired(false);
+      if (param.min !== undefined) o.setMinValue(param.min);
+      if (param.max !== undefined) o.setMaxValue(param.max);
+      if (param.maxLength !== undefined) o.setMaxLength(param.maxLength);
+      if (param.choices) o.addChoices(...param.choices);
+      return o;
+    });
+  }
+  return builder;                                           // Chainable
+}
+
+/**
+ * Reads the parameters the user actually set from an interaction's options.
+ * Returns a plain { option_name: value } object.
+ */
+export function readParams(options) {
+  const params = {};
+  for (const name of PARAM_NAMES) {
+    const option = options.get(name);
+    if (option) params[name] = option.value;                // Only explicit values
+  }
+  return params;
+}
+
+/**
+ * Drops the built-in carrier settings, e.g. from a preset when a carrier file was uploaded.
+ */
+export function withoutCarrierParams(params) {
+  return Object.fromEntries(Object.entries(params).filter(([name]) => !CARRIER_PARAMS.includes(name)));
+}
+
+/**
+ * Layers explicit options over a preset's values.
+ * Preset carrier settings are dropped when a carrier file is uploaded, and a preset
+ * bitrate is dropped when the user picks another format.
+ */
+export function mergeParams(presetParams = {}, explicit = {}, { hasCarrierFile = false } = {}) {
+  const base = hasCarrierFile ? withoutCarrierParams(presetParams) : { ...presetParams };
+  if ("format" in explicit && !("bitrate" in explicit)) delete base.bitrate; // Bitrate belongs to the preset's format
+  return { ...base, ...explicit };                          // Explicit values win
+}
+
+/**
+ * Parses string values (CLI flags, form fields) into typed parameters, checking the
+ * same ranges and choices Discord enforces on the slash options.
+ * Throws an Error with a user-facing message on unknown names or invalid values.
+ */
+export function parseParamValues(raw) {
+  const params = {};
+  for (const [name, text] of Object.entries(raw)) {
+    const param = PARAM_OPTIONS.find((p) => p.name === name);
+    if (!param) throw new Error(`Unknown option "${name}".`);
+
+    const value = param.type === "String" ? String(text) : param.type === "Boolean" ? parseBoolean(text) : Number(text);
+    if (param.type === "Boolean" && value === null) throw new Error(`Option "${name}" must be true or false.`);
+    if (param.type === "Integer" && !Number.isInteger(value)) throw new Error(`Option "${name}" must be a whole number.`);
+    if (param.type === "Number" && !Number.isFinite(value)) throw new Error(`Option "${name}" must be a number.`);
+    if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) {
+      throw new Error(`Option "${name}" must be between ${param.min} and ${param.max}.`);
+    }
+    if (param.maxLength !== undefined && value.length > param.maxLength) {
+      throw new Error(`Option "${name}" must be at most ${param.maxLength} characters.`);
+    }
+    if (param.choices && !param.choices.some((c) => c.value === value)) {
+      throw new Error(`Option "${name}" must be one of ${param.choices.map((c) => c.value).join(", ")}.`);
+    }
+    params[name] = value;
+  }
+  return params;
+}
+
+// "true"/"false" (also yes/no, 1/0) from a form field; CLI switches are already booleans
+function parseBoolean(text) {
+  if (typeof text === "boolean") return text;
+  const word = String(text).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(word)) return true;
+  if (["false", "no", "0"].includes(word)) return false;
+  return null;
+}
+
+/**
+ * Resolves a parameter set into validated { vocoderOptions, carrierOptions, outputOptions }.
+ * `carrierFile` is the uploaded carrier, or any truthy value when there is one (carrierOptions is null then).
+ */
+export function resolveParams(params, carrierFile = null) {
+  return {
+    vocoderOptions: resolveVocoderOptions(toVocoderOptions(params)), // Validate engine options
+    carrierOptions: toCarrierOptions(params, carrierFile),  // Built-in carrier (null when a file is given)
+    outputOptions: toOutputOptions(params)                  // Validate output format
+  };
+}
+
+// ENGINE OPTIONS
+export function toVocoderOptions(params) {
+  const ms = (v) => (v == null ? undefined : v / 1000);     // Milliseconds -> seconds
+  return {
+    width: params.width,
+    bands: params.bands,
+    minFreq: params.min_freq,
+    maxFreq: params.max_freq,
+    attack: ms(params.attack_ms),
+    release: ms(params.release_ms),
+    makeupDb: params.makeup_db,
+    stereo: params.stereo,
+    spread: params.spread,
+    sibilance: params.sibilance,
+    dryMix: params.dry_mix,
+    gateDb: params.gate_db,
+    lengthMode: LENGTH_MODE_CHOICES[params.length_mode]?.lengthMode ?? params.length_mode, // Unknown names fail validation
+    carrierFit: LENGTH_MODE_CHOICES[params.length_mode]?.carrierFit,
+    carOffset: params.offset_ms > 0 ? params.offset_ms / 1000 : undefined,
+    modOffset: params.offset_ms < 0 ? -params.offset_ms / 1000 : undefined,
+    compressor: {
+      threshold: params.comp_threshold,
+      ratio: params.comp_ratio
+    }
+  };                                                        // Unset values fall back to engine defaults
+}
+
+// BUILT-IN CARRIER OPTIONS
+export function toCarrierOptions(params, carrierAttachment = null) {
+  const { carrier_preset: preset, chord, key, harmony } = params;
+  if (carrierAttachment) {
+    if (preset || chord || key || harmony) {
+      throw new Error("Use either a carrier file or carrier_preset/chord/key/harmony, not both.");
+    }
+    return null;                                            // Uploaded carrier wins
+  }
+  const carrierOptions = resolveCarrierOptions({ preset, chord, key, harmony }); // Validate before downloading
+  if (carrierOptions.tracking && params.offset_ms) {
+    throw new Error("offset_ms can't be used with key/harmony: the carrier already follows the voice.");
+  }
+  return carrierOptions;
+}
+
+// OUTPUT OPTIONS
+export function toOutputOptions(params) {
+  return resolveOutputOptions({ format: params.format, bitrate: params.bitrate });
+}
+
+/**
+ * Validates a parameter set without running anything.
+ * Throws an Error with a user-facing message on invalid values.
+ */
+export function validateParams(params) {
+  resolveParams(params);
+}
+
+/**
+ * Formats a parameter set the way it would be typed on /vocode.
+ */
+export function formatParams(params) {
+  const parts = PARAM_NAMES
+    .filter((name) => params[name] !== undefined)
+    .map((name) => {
+      const value = params[name];
+      return `${name}:${typeof value === "string" && /\s/.test(value) ? `"${value}"` : value}`;
+    });
+  return parts.length ? parts.join(" ") : "(engine defaults)";
+}
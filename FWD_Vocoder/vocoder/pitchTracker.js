@@ -0,0 +1,207 @@
+/**
+ * pitchTracker.js
+ *
+ * Pitch detection (YIN) for the pitch-tracking carrier, plus key/scale
+ * quantization and harmony intervals.
+ */
+
+const ANALYSIS_RATE = 16000;                                     // Pitch is tracked on a decimated copy
+const FRAME_SIZE = 320;                                          // YIN integration window (20 ms at 16 kHz)
+const HOP_SIZE = 160;                                            // 10 ms between frames
+const YIN_THRESHOLD = 0.15;                                      // Lower = stricter voicing decision
+const SILENCE_RMS = 0.01;                                        // Quieter frames count as unvoiced
+const MIN_PITCH = 60;                                            // Hz, below a bass voice
+const MAX_PITCH = 1000;                                          // Hz, above a soprano
+const MAX_HARMONY_VOICES = 4;                                    // Intervals added on top of the melody
+
+const NOTE_OFFSETS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 }; // Semitones from C
+
+// Scale intervals from the root
+export const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  harmonic_minor: [0, 2, 3, 5, 7, 8, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  pentatonic: [0, 2, 4, 7, 9],
+  minor_pentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+/**
+ * Tracks the pitch of a mono signal.
+ * Returns { frameRate, offset, pitches } where pitches[i] is the frequency in Hz of the
+ * frame centred at offset + i / frameRate seconds (0 = unvoiced).
+ */
+export function detectPitch(samples, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / factor;                         // Actual analysis rate
+  const signal = decimate(samples, factor);
+  const minTau = Math.floor(rate / MAX_PITCH);
+  const maxTau = Math.ceil(rate / MIN_PITCH);
+
+  const frameCount = Math.max(0, Math.floor((signal.length - FRAME_SIZE - maxTau) / HOP_SIZE) + 1);
+  const pitches = new Float32Array(frameCount);
+  const diff = new Float32Array(maxTau + 1);                // Reused per frame
+
+  for (let f = 0; f < frameCount; f++) {
+    const start = f * HOP_SIZE;
+    if (rms(signal, start, FRAME_SIZE) < SILENCE_RMS) continue; // Silence: unvoiced
+    const tau = yinPeriod(signal, start, minTau, maxTau, diff);
+    if (tau) pitches[f] = rate / tau;
+  }
+
+  const offset = (FRAME_SIZE + maxTau) / 2 / rate;         // Centre of the samples each frame looks at
+  return { frameRate: rate / HOP_SIZE, offset, pitches: medianFilter(pitches) };
+}
+
+/**
+ * Parses a key such as "C minor", "F# major", "Bb dorian", "A minor pentatonic",
+ * "chromatic" (nearest semitone) or "none" (follow the voice exactly).
+ * Returns { name, root, scale } (scale null = no quantization) or throws a user-facing Error.
+ */
+export function parseKey(text) {
+  const words = String(text).trim().toLowerCase().split(/[\s_-]+/).filter(Boolean);
+  if (words.length === 0 || (words.length === 1 && words[0] === "none")) return { name: "none", root: 0, scale: null };
+  if (words.length === 1 && words[0] === "chromatic") return { name: "chromatic", root: 0, scale: SCALES.chromatic };
+
+  const match = /^([a-g])([#b]?)$/.exec(words[0]);
+  const scaleName = words.slice(1).join("_") || "major";    // "C" alone means C major
+  if (!match || !SCALES[scaleName]) {
+    throw new Error(
+      `"${text}" is not a key. Use a note and a scale, e.g. "C minor" or "F# major" ` +
+      `(scales: ${Object.keys(SCALES).join(", ")}), or "chromatic"/"none".`
+    );
+  }
+  const root = (NOTE_OFFSETS[match[1]] + (match[2] === "#" ? 1 : match[2] === "b" ? -1 : 0) + 12) % 12;
+  return { name: `${match[1].toUpperCase()}${match[2]} ${scaleName.replace(/_/g, " ")}`, root, scale: SCALES[scaleName] };
+}
+
+/**
+ * Parses harmony intervals in semitones, e.g. "+4 +7", "-12" or "3,7".
+ * Returns an array of integers or throws a user-facing Error.
+ */
+export function parseHarmony(text) {
+  const tokens = String(text ?? "").split(/[\s,]+/).filter(Boolean);
+  const intervals = tokens.map((token) => {
+    const value = Number(token);
+    if (!/^[+-]?\d+$/.test(token) || Math.abs(value) > 24) {
+      throw new Error(`"${token}" is not a harmony interval. Use semitones between -24 and +24, e.g. "+4 +7".`);
+    }
+    return value;
+  });
+  if (intervals.length > MAX_HARMONY_VOICES) throw new Error(`Use at most ${MAX_HARMONY_VOICES} harmony intervals.`);
+  return intervals;
+}
+
+/**
+ * Snaps a (fractional) MIDI note to the nearest note of `key`'s scale.
+ */
+export function quantizeMidi(midi, key) {
+  if (!key?.scale) return midi;                             // No quantization
+  const base = Math.floor(midi);
+  let best = midi;
+  let bestDistance = Infinity;
+  for (let note = base - 12; note <= base + 12; note++) {
+    if (!key.scale.includes((((note - key.root) % 12) + 12) % 12)) continue;
+    const distance = Math.abs(note - midi);
+    if (distance < bestDistance) {
+      best = note;
+      bestDistance = distance;
+    }
+  }
+  return best;                                              // Nearest in-scale note
+}
+
+/**
+ * Fills unvoiced frames (0) with the nearest earlier voiced pitch (the first voiced
+ * pitch for leading frames), so the carrier never stops. Returns null when nothing is voiced.
+ */
+export function fillUnvoiced(pitches) {
+  const first = pitches.find((p) => p > 0);
+  if (!first) return null;
+  const filled = new Float32Array(pitches.length);
+  let last = first;
+  for (let i = 0; i < pitches.length; i++) {
+    if (pitches[i] > 0) last = pitches[i];
+    filled[i] = last;
+  }
+  return filled;
+}
+
+export function freqToMidi(freq) {
+  return 69 + 12 * Math.log2(freq / 440);                   // A4 = 440 Hz
+}
+
+export function midiToFreq(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// YIN
+// Returns the period in samples (fractional) or 0 when the frame is unvoiced.
+function yinPeriod(signal, start, minTau, maxTau, diff) {
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let sum = 0;
+    for (let j = 0; j < FRAME_SIZE; j++) {
+      const d = signal[start + j] - signal[start + j + tau];
+      sum += d * d;
+    }
+    diff[tau] = sum;                                        // Difference function
+  }
+
+  // Cumulative mean normalized difference
+  let running = 0;
+  diff[0] = 1;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    running += diff[tau];
+    diff[tau] = running > 0 ? (diff[tau] * tau) / running : 1;
+  }
+
+  for (let tau = Math.max(2, minTau); tau < maxTau; tau++) {
+    if (diff[tau] < YIN_THRESHOLD) {
+      while (tau + 1 < maxTau && diff[tau + 1] < diff[tau]) tau++; // Walk down to the local minimum
+      return parabolicPeak(diff, tau);
+    }
+  }
+  return 0;                                                 // No clear period
+}
+
+function parabolicPeak(values, i) {
+  const a = values[i - 1];
+  const b = values[i];
+  const c = values[i + 1];
+  const denominator = a - 2 * b + c;
+  return denominator === 0 ? i : i + (a - c) / (2 * denominator); // Sub-sample refinement
+}
+
+// HELPER FUNCTIONS
+function decimate(samples, factor) {
+  if (factor === 1) return samples;
+  const out = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < factor; k++) sum += samples[i * factor + k];
+    out[i] = sum / factor;                                  // Box filter against aliasing
+  }
+  return out;
+}
+
+function rms(signal, start, length) {
+  let sum = 0;
+  for (let i = start; i < start + length; i++) sum += signal[i] * signal[i];
+  return Math.sqrt(sum / length);
+}
+
+// 5-frame median to remove single-frame octave jumps (unvoiced frames stay unvoiced)
+function medianFilter(pitches) {
+  const out = new Float32Array(pitches.length);
+  for (let i = 0; i < pitches.length; i++) {
+    if (pitches[i] === 0) continue;
+    const window = [];
+    for (let k = i - 2; k <= i + 2; k++) if (pitches[k] > 0) window.push(pitches[k]);
+    window.sort((a, b) => a - b);
+    out[i] = window[Math.floor(window.length / 2)];
+  }
+  return out;
+}
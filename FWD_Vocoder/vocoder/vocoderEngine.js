@@ -1,6 +1,6 @@
 /**
  * vocoderEngine.js
- * 
+ *
  * Implements a basic vocoder using the Web Audio API in a Node.js environment.
  * Processes modulator and carrier audio buffers to produce a vocoded output.
  */
@@ -15,43 +15,277 @@ import {
 import decodeAudio from "audio-decode";                          // For decoding input audio buffers
 import WavEncoder from "wav-encoder";                            // For encoding output to WAV format
 
+const WORK_RATE = 48000;                                         // Standardized processing rate
+const ENVELOPE_BLOCK = 1;                                        // Envelope block length (seconds, whole render quanta)
+const MAX_OUTPUT_CHANNELS = 8;                                   // Up to 7.1 carriers in stereo mode
+const LOOP_CROSSFADE = 0.05;                                     // Carrier loop seam crossfade (seconds)
+const SIBILANCE_MAX_FREQ = 16000;                                // Sibilance band never starts above this (Hz)
+const GATE_HYSTERESIS = 6;                                       // dB below the threshold before the gate closes
+const GATE_HOLD = 0.05;                                          // Gate stays open this long after the level drops (seconds)
+const GATE_ATTACK = 0.001;                                       // Gate fade-in (seconds)
+const GATE_RELEASE = 0.05;                                       // Gate fade-out (seconds)
+const GATE_DETECT = 0.01;                                        // Level detector decay (seconds)
+
+export const LENGTH_MODES = ["shortest", "modulator", "carrier"]; // Which input sets the output length
+export const CARRIER_FITS = ["loop", "crossfade", "stretch"];    // How a short carrier is extended ("modulator" mode)
+
+// Default Engine Settings (all overridable through runVocoder options)
+export const DEFAULT_OPTIONS = Object.freeze({
+  width: 50,                                                     // Bandwidth 0-100
+  bands: 16,                                                     // Number of frequency bands
+  minFreq: 80,                                                   // Lowest band center (Hz)
+  maxFreq: 7000,                                                 // Highest band center (Hz)
+  // The attack/release follower replaced the fixed 40 Hz envelope lowpass (see README)
+  attack: 0.01,                                                  // Envelope attack (seconds)
+  release: 0.05,                                                 // Envelope release (seconds)
+  compressor: Object.freeze({
+    threshold: -24,
+    knee: 10,
+    ratio: 12,
+    attack: 0.003,
+    release: 0.25
+  }),                                                            // Output compressor
+  makeupDb: 12,                                                  // Makeup gain after compression (dB)
+  stereo: false,                                                 // Keep carrier channels instead of mono
+  spread: 0,                                                     // Per-band stereo spread 0-100 (stereo only)
+  lengthMode: "shortest",                                        // See LENGTH_MODES
+  carrierFit: "loop",                                            // See CARRIER_FITS
+  modOffset: 0,                                                  // Modulator delay (seconds)
+  carOffset: 0,                                                  // Carrier delay (seconds)
+  dryMix: 0,                                                     // Unprocessed voice in the mix 0-100 (100 = voice only)
+  sibilance: 0,                                                  // Voice above the band bank passed through 0-100
+  gateDb: null                                                   // Modulator noise gate threshold (dB), null = off
+});
+
+// Accepted ranges for numeric options
+const LIMITS = {
+  width: [0, 100],
+  bands: [4, 64],
+  minFreq: [20, 20000],
+  maxFreq: [20, 20000],
+  attack: [0.0005, 1],
+  release: [0.001, 2],
+  makeupDb: [-12, 24],
+  spread: [0, 100],
+  modOffset: [0, 30],
+  carOffset: [0, 30],
+  dryMix: [0, 100],
+  sibilance: [0, 100],
+  "compressor.threshold": [-100, 0],
+  "compressor.knee": [0, 40],
+  "compressor.ratio": [1, 20],
+  "compressor.attack": [0, 1],
+  "compressor.release": [0, 1]
+};
+
+/**
+ * Merges user options over DEFAULT_OPTIONS and validates the result.
+ * Throws an Error with a user-facing message on invalid values.
+ */
+export function resolveVocoderOptions(options = {}) {
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    ...stripUndefined(options),
+    compressor: { ...DEFAULT_OPTIONS.compressor, ...stripUndefined(options.compressor ?? {}) }
+  };                                                             // Defaults <- user values
+
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const value = key.startsWith("compressor.") ? opts.compressor[key.slice(11)] : opts[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Option "${key}" must be a number between ${min} and ${max}.`);
+    }
+  }                                                              // Range checks
+
+  if (typeof opts.stereo !== "boolean") {
+    throw new Error(`Option "stereo" must be true or false.`);
+  }
+  if (opts.spread > 0 && !opts.stereo) {
+    throw new Error(`Option "spread" needs stereo:true (set spread:0 for mono).`); // Would be ignored in mono
+  }
+  if (!LENGTH_MODES.includes(opts.lengthMode)) {
+    throw new Error(`Option "lengthMode" must be one of ${LENGTH_MODES.join(", ")}.`);
+  }
+  if (!CARRIER_FITS.includes(opts.carrierFit)) {
+    throw new Error(`Option "carrierFit" must be one of ${CARRIER_FITS.join(", ")}.`);
+  }
+  if (opts.gateDb !== null && (typeof opts.gateDb !== "number" || !(opts.gateDb >= -100 && opts.gateDb <= 0))) {
+    throw new Error(`Option "gateDb" must be a number between -100 and 0.`);
+  }
+  if (!Number.isInteger(opts.bands)) {
+    throw new Error(`Option "bands" must be a whole number.`);
+  }
+  if (opts.minFreq >= opts.maxFreq) {
+    throw new Error("Minimum frequency must be lower than maximum frequency.");
+  }
+  return opts;                                                   // Validated options
+}
+
 // Main Vocoder Function
-export async function runVocoder(modArrayBuf, carArrayBuf, widthPercent = 50) {
+// `options` may be a plain width number (legacy) or an options object, see DEFAULT_OPTIONS.
+// `signal` aborts the render at the next envelope block; the promise then rejects with its reason.
+// `onProgress(fraction)` is called at every envelope block boundary with the rendered share (0-1).
+export async function runVocoder(modArrayBuf, carArrayBuf, options = {}, { signal, onProgress } = {}) {
+  if (typeof options === "number") options = { width: options }; // Legacy width argument
+  const opts = resolveVocoderOptions(options);                   // Validate before decoding
+
   const modDecoded = await decodeAudio(modArrayBuf);             // Decode modulator
   const carDecoded = await decodeAudio(carArrayBuf);             // Decode carrier
+  const modSignal = opts.gateDb === null ? modDecoded : applyNoiseGate(modDecoded, opts.gateDb); // Gated modulator
 
-  // Determine processing duration based on shorter input
+  // Determine processing duration from the length mode (offsets delay an input)
   const modDuration = modDecoded.length / modDecoded.sampleRate; // in seconds
   const carDuration = carDecoded.length / carDecoded.sampleRate; // in seconds
-  const duration = Math.min(modDuration, carDuration);           // in seconds
+  const modEnd = opts.modOffset + modDuration;                   // Where each input ends on the output timeline
+  const carEnd = opts.carOffset + carDuration;
+  const duration = {
+    shortest: Math.min(modEnd, carEnd),
+    modulator: modEnd,                                           // Carrier is extended below
+    carrier: carEnd                                              // Modulator is padded with silence
+  }[opts.lengthMode];                                            // in seconds
+  if (duration <= Math.max(opts.modOffset, opts.carOffset)) {
+    throw new Error("The offset is longer than the audio, so nothing would overlap.");
+  }
 
   // Setup Offline Audio Context
+  // Mono by default; stereo mode keeps every carrier channel (at least 2)
+  const outChannels = opts.stereo ? Math.max(2, carDecoded.numberOfChannels) : 1;
+  if (outChannels > MAX_OUTPUT_CHANNELS) {
+    throw new Error(`Carriers with more than ${MAX_OUTPUT_CHANNELS} channels are not supported.`);
+  }
 
-  const WORK_RATE = 48000;                                       // <- Standardized processing rate
   const lengthSamples = Math.floor(duration * WORK_RATE);        // <- Total samples to process
-  const ctx = new OfflineAudioContext(1, lengthSamples, WORK_RATE); // <- Mono output
+  const ctx = new OfflineAudioContext(outChannels, lengthSamples, WORK_RATE); // <- Output channels
 
-  const modSourceNode = createBufferSource(ctx, modDecoded);     // Modulator Source
-  const carSourceNode = createBufferSource(ctx, carDecoded);     // Carrier Source
+  const carSourceNode = createCarrierSource(ctx, carDecoded, duration - opts.carOffset, opts); // Carrier Source
+  const carUpmix = new GainNode(ctx, {
+    channelCount: outChannels,
+    channelCountMode: "explicit",
+    channelInterpretation: "speakers"
+  });                                                            // Mono carrier -> both sides (splitters only split discretely)
+  const carSplitter = ctx.createChannelSplitter(outChannels);    // One carrier bank per channel
+  carSourceNode.connect(carUpmix);
+  carUpmix.connect(carSplitter);
 
   /* Map "Width" (0-100) to Q-Factor
    * 0% Width = Very Narrow filters (High Q ~ 15) -> Robotic, ringing
    * 100% Width = Wide filters (Low Q ~ 0.5) -> Noisy, full spectrum
-   * Using a simple linear interpolation logic 
+   * Using a simple linear interpolation logic
    */
 
   const minQ = 0.5;                                         // Wide
   const maxQ = 15;                                          // Narrow
 
   // Invert logic: High Width = Low Q
-  const qFactor = maxQ - ((widthPercent / 100) * (maxQ - minQ)); // Calculate Q-Factor
+  const qFactor = maxQ - ((opts.width / 100) * (maxQ - minQ)); // Calculate Q-Factor
 
   // Vocoder Bands
-  const bands = 16; // Number of frequency bands
-  const frequencies = logFrequencies(80, 7000, bands);      // Log-spaced frequencies from 80Hz to 7kHz
+  const frequencies = logFrequencies(opts.minFreq, opts.maxFreq, opts.bands); // Log-spaced band centers
   const bandNodes = []; // Keep references to band nodes
 
-  // Output Chain
+  // Modulator Analysis (in JS, block by block, so attack/release can differ)
+  const nextEnvelopes = createBandAnalyzer(modSignal, frequencies, qFactor, opts); // Includes modOffset
+  const envBuses = frequencies.map(() => new GainNode(ctx)); // Band levels, shared by all channels
+
+  // Dry and sibilance paths share one mono modulator source
+  const voice = opts.dryMix > 0 || opts.sibilance > 0 ? createMonoSource(ctx, modSignal) : null;
+
+  // Channels are merged back right before the destination
+  const outMerger = ctx.createChannelMerger(outChannels);
+  outMerger.connect(ctx.destination);                       // Final Output
+
+  for (let c = 0; c < outChannels; c++) {
+    const summingGain = createOutputChain(ctx, opts, outMerger, c); // Per-channel output chain
+    const wetBus = new GainNode(ctx, { gain: 1 - opts.dryMix / 100 }); // Vocoded share of the mix
+    wetBus.connect(summingGain);
+    if (voice) connectVoicePaths(ctx, voice.mono, opts, wetBus, summingGain);
+
+    // Create Bands
+    frequencies.forEach((f, i) => {
+      // CARRIER CHAIN
+      const carFilter = new BiquadFilterNode(ctx, { type: "bandpass", frequency: f, Q: qFactor });
+      const bandGain = new GainNode(ctx);                   // Controls band volume
+      bandGain.gain.value = 0;                              // Start muted, controlled by envelope
+
+      // Envelope (modulator band level) controls Carrier Band Volume
+      envBuses[i].connect(bandGain.gain);
+
+      // Wire Carrier
+      carSplitter.connect(carFilter, c);                    // Carrier channel to bandpass
+      carFilter.connect(bandGain);
+
+      // Stereo Spread (alternating bands lean left/right)
+      const panGain = getSpreadGain(i, c, outChannels, opts.spread);
+      let bandOut = bandGain;
+      if (panGain !== 1) {
+        bandOut = new GainNode(ctx, { gain: panGain });
+        bandGain.connect(bandOut);
+      }
+
+      // Wire to Summing Bus
+      bandOut.connect(wetBus);                              // Each band to the wet bus
+
+      // Keep reference so they don't get garbage collected (paranoia)
+      bandNodes.push({ carFilter, bandGain, bandOut });     // Store band nodes
+    });
+  }
+
+  // Envelopes are fed one block ahead of the render: the context suspends at every
+  // block boundary, the next block is analyzed and scheduled, and rendering resumes.
+  const blockLength = ENVELOPE_BLOCK * WORK_RATE;
+  let blockSources = [];
+  const scheduleEnvelopes = (start) => {
+    for (const source of blockSources) source.disconnect(); // Finished block
+    const blocks = nextEnvelopes(Math.min(blockLength, lengthSamples - start));
+    blockSources = blocks.map((envelope, i) => {
+      const source = createEnvelopeSource(ctx, envelope);
+      source.connect(envBuses[i]);
+      source.start(start / WORK_RATE);
+      return source;
+    });
+  };
+  let stopped = false;
+  const stop = () => {                                      // Cut the graph so the rest renders as silence, fast
+    stopped = true;
+    outMerger.disconnect();
+    carSourceNode.stop();
+    voice?.source.stop();
+  };
+  for (let start = blockLength; start < lengthSamples; start += blockLength) {
+    ctx.suspend(start / WORK_RATE).then(() => {
+      if (signal?.aborted && !stopped) stop();
+      if (!stopped) {
+        scheduleEnvelopes(start);
+        onProgress?.(start / lengthSamples);
+      }
+      return ctx.resume();
+    });
+  }
+
+  // Start & Render
+  scheduleEnvelopes(0);
+  carSourceNode.start(opts.carOffset);                      // Delayed carrier
+  voice?.source.start(opts.modOffset);                      // Aligned with the envelopes
+
+  signal?.throwIfAborted();
+  const renderedBuffer = await ctx.startRendering();        // Render audio
+  signal?.throwIfAborted();                                 // Aborted mid-render
+  // Encode to WAV (all channels)
+  const channelData = [];
+  for (let c = 0; c < renderedBuffer.numberOfChannels; c++) {
+    channelData.push(renderedBuffer.getChannelData(c));
+  }
+  const wavData = await WavEncoder.encode({
+    sampleRate: WORK_RATE,
+    channelData
+  });
+
+  return Buffer.from(wavData);                              // Return as Node.js Buffer
+}
+
+// OUTPUT CHAIN
+// Summing bus -> compressor -> makeup gain -> soft clipper, into one merger input.
+// Returns the summing bus.
+function createOutputChain(ctx, opts, merger, channel) {
   /* Summing Gain
    * Instead of reducing gain heavily, we keep it neutral (1.0)
    * because the filters remove so much energy, we actually lose volume. */
@@ -60,18 +294,12 @@ export async function runVocoder(modArrayBuf, carArrayBuf, widthPercent = 50) {
   summingGain.gain.value = 1.0;                             // Neutral gain
 
   // Compressor (Tames peaks)
-  const compressor = new DynamicsCompressorNode(ctx, {
-    threshold: -24,
-    knee: 10,
-    ratio: 12,
-    attack: 0.003,
-    release: 0.25
-  });                                                       //<- Gentle compression
+  const compressor = new DynamicsCompressorNode(ctx, { ...opts.compressor }); //<- Gentle compression by default
 
   // Makeup Gain (Restores Volume)
   // Since we filtered heavily, we need a significant boost.
   const makeupGain = new GainNode(ctx);
-  makeupGain.gain.value = 4.0;                              // +12dB boost approximately
+  makeupGain.gain.value = Math.pow(10, opts.makeupDb / 20); // dB -> linear (12dB ~ x4)
 
   // Soft Clipper / Limiter (Safety)
   // Prevents digital clipping from the makeup gain
@@ -82,55 +310,177 @@ export async function runVocoder(modArrayBuf, carArrayBuf, widthPercent = 50) {
   summingGain.connect(compressor);                          // -> Compressor
   compressor.connect(makeupGain);                           // -> Makeup Gain
   makeupGain.connect(limiter);                              // -> Soft Clipper
-  limiter.connect(ctx.destination);                         // Final Output
-
-  // Create Bands
-  for (let f of frequencies) {
-    // MODULATOR CHAIN
-    const modFilter = new BiquadFilterNode(ctx, { type: "bandpass", frequency: f, Q: qFactor }); // Bandpass filter
-    const rectifier = ctx.createWaveShaper();               // For full-wave rectification
-    rectifier.curve = getAbsCurve();                        // Absolute value curve
-    const envelope = new BiquadFilterNode(ctx, { type: "lowpass", frequency: 40 }); // Slightly faster envelope
-
-    // CARRIER CHAIN
-    const carFilter = new BiquadFilterNode(ctx, { type: "bandpass", frequency: f, Q: qFactor });
-    const bandGain = new GainNode(ctx);                     // Controls band volume
-    bandGain.gain.value = 0;                                // Start muted, controlled by envelope
-
-    // Wire Modulator
-    modSourceNode.connect(modFilter);                       // Modulator to bandpass
-    modFilter.connect(rectifier);
-    rectifier.connect(envelope);
-    
-    // Envelope controls Carrier Band Volume
-    envelope.connect(bandGain.gain); 
-
-    // Wire Carrier
-    carSourceNode.connect(carFilter);                       // Carrier to bandpass
-    carFilter.connect(bandGain); 
-
-    // Wire to Summing Bus
-    bandGain.connect(summingGain);                          // Each band to summing bus
-    
-    // Keep reference so they don't get garbage collected (paranoia)
-    bandNodes.push({ modFilter, carFilter, bandGain });     // Store band nodes
+  limiter.connect(merger, 0, channel);                      // -> Output channel
+  return summingGain;
+}
+
+// VOICE PATHS
+// Sibilance: the modulator above the band bank (24 dB/oct highpass), mixed with the bands
+// so "s" and "t" stay audible. Dry: the unprocessed modulator. Both are scaled against
+// the makeup gain, so 100% comes out near the voice's own level.
+function connectVoicePaths(ctx, voice, opts, wetBus, summingGain) {
+  const unity = Math.pow(10, -opts.makeupDb / 20);          // Cancels the makeup gain
+
+  if (opts.sibilance > 0) {
+    const frequency = Math.min(opts.maxFreq, SIBILANCE_MAX_FREQ); // Starts where the bands stop
+    const highpass1 = new BiquadFilterNode(ctx, { type: "highpass", frequency });
+    const highpass2 = new BiquadFilterNode(ctx, { type: "highpass", frequency });
+    const sibilanceGain = new GainNode(ctx, { gain: (opts.sibilance / 100) * unity });
+    voice.connect(highpass1);
+    highpass1.connect(highpass2);
+    highpass2.connect(sibilanceGain);
+    sibilanceGain.connect(wetBus);                          // Part of the vocoded signal
   }
 
-  // Start & Render
-  modSourceNode.start(0); 
-  carSourceNode.start(0);
+  if (opts.dryMix > 0) {
+    const dryGain = new GainNode(ctx, { gain: (opts.dryMix / 100) * unity });
+    voice.connect(dryGain);
+    dryGain.connect(summingGain);                           // Bypasses the wet share
+  }
+}
 
-  const renderedBuffer = await ctx.startRendering();        // Render audio
-  // Encode to WAV
-  const wavData = await WavEncoder.encode({
-    sampleRate: WORK_RATE,
-    channelData: [renderedBuffer.getChannelData(0)]
-  });
+// Balance gain for band `band` on output `channel`.
+// Even bands lean left, odd bands lean right; spread 100 = hard pan.
+function getSpreadGain(band, channel, channels, spread) {
+  if (channels !== 2 || spread === 0) return 1;             // Spread is a stereo feature
+  const pan = (spread / 100) * (band % 2 === 0 ? -1 : 1);   // -1 (left) .. 1 (right)
+  return channel === 0 ? 1 - Math.max(0, pan) : 1 + Math.min(0, pan);
+}
 
-  return Buffer.from(wavData);                              // Return as Node.js Buffer
+/**
+ * Modulator analysis: bandpass (the Web Audio "bandpass" biquad) -> full-wave rectifier ->
+ * attack/release follower for every band, on the modulator folded to mono and delayed by
+ * modOffset. Returns `next(length)`, which gives the next `length` samples of every band
+ * envelope (one Float32Array per band); filter and follower state carry over between
+ * calls, so memory stays at one block per band however long the input is.
+ */
+export function createBandAnalyzer(modDecoded, frequencies, qFactor, opts) {
+  const input = toMonoAtWorkRate(modDecoded);
+  const offset = Math.round(opts.modOffset * WORK_RATE);    // Silence before the voice starts
+  const attackCoef = Math.exp(-1 / (opts.attack * WORK_RATE)); // Rising coefficient
+  const releaseCoef = Math.exp(-1 / (opts.release * WORK_RATE)); // Falling coefficient
+  const bands = frequencies.map((f) => ({ ...bandpassCoefficients(f, qFactor), x1: 0, x2: 0, y1: 0, y2: 0, level: 0 }));
+  let position = 0;                                         // Next output sample
+
+  return function next(length) {
+    const block = new Float32Array(length);                 // This block of the delayed input
+    const from = Math.max(0, position - offset);
+    const to = Math.min(input.length, position + length - offset);
+    if (to > from) block.set(input.subarray(from, to), from - (position - offset));
+    position += length;
+
+    return bands.map((band) => followBand(band, block, 1 - attackCoef, 1 - releaseCoef));
+  };
+}
+
+// CARRIER LENGTH
+// Buffer source covering `targetDuration` seconds: plays once when long enough,
+// otherwise loops (optionally crossfaded) or is slowed down to fit.
+function createCarrierSource(ctx, carDecoded, targetDuration, opts) {
+  const carDuration = carDecoded.length / carDecoded.sampleRate;
+  if (opts.lengthMode !== "modulator" || carDuration >= targetDuration) {
+    return createBufferSource(ctx, carDecoded);             // Plays once
+  }
+
+  if (opts.carrierFit === "stretch") {
+    const src = createBufferSource(ctx, carDecoded);
+    src.playbackRate.value = carDuration / targetDuration;  // Slower (and lower) to fill the length
+    return src;
+  }
+  if (opts.carrierFit === "crossfade") {
+    const targetLength = Math.ceil(targetDuration * carDecoded.sampleRate);
+    return createBufferSource(ctx, loopWithCrossfade(carDecoded, targetLength)); // Pre-rendered seams
+  }
+  const src = createBufferSource(ctx, carDecoded);
+  src.loop = true;                                          // Hard loop
+  return src;
+}
+
+/**
+ * Repeats `decoded` up to `targetLength` samples with an equal-power crossfade
+ * at every seam (the tail of each pass fades into the head of the next).
+ * Returns an object shaped like a decoded buffer.
+ */
+export function loopWithCrossfade(decoded, targetLength) {
+  const { length, sampleRate, numberOfChannels } = decoded;
+  const fade = Math.min(Math.round(LOOP_CROSSFADE * sampleRate), Math.floor(length / 4)); // Short loops: shorter fade
+  const period = length - fade;                             // Samples between seams
+  const channels = [];
+
+  for (let c = 0; c < numberOfChannels; c++) {
+    const input = decoded.getChannelData(c);
+    const out = new Float32Array(targetLength);
+    for (let n = 0; n < targetLength; n++) {
+      const k = n % period;                                 // Position within the current pass
+      if (n >= period && k < fade) {
+        const t = (k + 0.5) / fade;                         // 0..1 across the seam
+        out[n] = input[k] * Math.sin(t * Math.PI / 2) + input[period + k] * Math.cos(t * Math.PI / 2);
+      } else {
+        out[n] = input[k];
+      }
+    }
+    channels.push(out);
+  }
+
+  return {
+    length: targetLength,
+    sampleRate,
+    numberOfChannels,
+    getChannelData: (c) => channels[c]
+  };
+}
+
+/**
+ * Noise gate: mutes `decoded` wherever its level stays below `thresholdDb`, so
+ * background noise between words doesn't open the bands. Closes 6 dB below the
+ * threshold after a short hold, and fades in and out to avoid clicks.
+ * Returns an object shaped like a decoded buffer.
+ */
+export function applyNoiseGate(decoded, thresholdDb) {
+  const { length, sampleRate, numberOfChannels } = decoded;
+  const inputs = Array.from({ length: numberOfChannels }, (_, c) => decoded.getChannelData(c));
+  const openLevel = Math.pow(10, thresholdDb / 20);         // dB -> linear
+  const closeLevel = Math.pow(10, (thresholdDb - GATE_HYSTERESIS) / 20);
+  const detectCoef = Math.exp(-1 / (GATE_DETECT * sampleRate));
+  const attackCoef = Math.exp(-1 / (GATE_ATTACK * sampleRate));
+  const releaseCoef = Math.exp(-1 / (GATE_RELEASE * sampleRate));
+  const holdSamples = Math.round(GATE_HOLD * sampleRate);
+
+  const gains = new Float32Array(length);
+  let level = 0;                                            // Peak detector state
+  let open = false;
+  let hold = 0;                                             // Samples left before closing
+  let gain = 0;                                             // Smoothed gate gain
+  for (let i = 0; i < length; i++) {
+    let x = 0;
+    for (const input of inputs) x = Math.max(x, Math.abs(input[i])); // Loudest channel
+    level = x > level ? x : detectCoef * level + (1 - detectCoef) * x; // Instant attack, slow decay
+
+    if (level >= openLevel) {
+      open = true;
+      hold = holdSamples;
+    } else if (level < closeLevel) {
+      if (hold > 0) hold--;
+      else open = false;
+    }
+
+    const target = open ? 1 : 0;
+    const coef = target > gain ? attackCoef : releaseCoef;
+    gain = coef * gain + (1 - coef) * target;
+    gains[i] = gain;
+  }
+
+  const channels = inputs.map((input) => input.map((x, i) => x * gains[i]));
+  return {
+    length,
+    sampleRate,
+    numberOfChannels,
+    getChannelData: (c) => channels[c]
+  };
 }
 
 // HELPER FUNCTIONS
+// (logFrequencies and getSoftClipCurve are exported for the tests)
 function createBufferSource(ctx, decodedData) {
   const audioBuf = ctx.createBuffer(
     decodedData.numberOfChannels,
@@ -145,22 +495,76 @@ function createBufferSource(ctx, decodedData) {
   return src;                                               // Return Buffer Source Node
 }                                                           // Create Buffer Source Node from decoded audio
 
-// Full-Wave Rectifier Curve
-function getAbsCurve() {
-  const curve = new Float32Array(65536);                    // Create curve
-  for (let i = 0; i < 65536; i++) {                         // Fill curve
-    // Standard absolute value
-    curve[i] = Math.abs((i * 2) / 65536 - 1);               // Normalize -1 to 1
+function createMonoSource(ctx, decodedData) {
+  const source = createBufferSource(ctx, decodedData);
+  const mono = new GainNode(ctx, { channelCount: 1, channelCountMode: "explicit" }); // Downmix
+  source.connect(mono);
+  return { source, mono };
+}                                                           // Buffer source folded down to one channel
+
+// One band of createBandAnalyzer over `block`; updates the band's filter and follower state
+function followBand(band, block, attackStep, releaseStep) {
+  const env = new Float32Array(block.length);
+  const { b0, b2, a1, a2 } = band;
+  let { x1, x2, y1, y2, level } = band;
+  for (let i = 0; i < block.length; i++) {
+    const x = block[i];
+    const y = b0 * x + b2 * x2 - a1 * y1 - a2 * y2;         // b1 = 0 for a bandpass
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    const rectified = y < 0 ? (y < -1 ? 1 : -y) : (y > 1 ? 1 : y); // Full-wave rectifier
+    level += (rectified > level ? attackStep : releaseStep) * (rectified - level); // Attack or release
+    env[i] = level;
   }
-  return curve;                                             // Return absolute value curve
+  Object.assign(band, { x1, x2, y1, y2, level });
+  return env;                                               // Smoothed band envelope
+}
+
+// Normalized bandpass biquad coefficients (Audio EQ Cookbook, as in BiquadFilterNode)
+function bandpassCoefficients(frequency, Q) {
+  const w0 = (2 * Math.PI * frequency) / WORK_RATE;
+  const alpha = Math.sin(w0) / (2 * Q);
+  const a0 = 1 + alpha;
+  return { b0: alpha / a0, b2: -alpha / a0, a1: (-2 * Math.cos(w0)) / a0, a2: (1 - alpha) / a0 };
 }
 
+// Channel average, resampled (linear) to WORK_RATE if needed
+function toMonoAtWorkRate(decoded) {
+  const { length, sampleRate, numberOfChannels } = decoded;
+  const mono = new Float32Array(length);
+  for (let c = 0; c < numberOfChannels; c++) {
+    const data = decoded.getChannelData(c);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / numberOfChannels;
+  }
+  if (sampleRate === WORK_RATE) return mono;
+
+  const out = new Float32Array(Math.floor((length * WORK_RATE) / sampleRate));
+  for (let i = 0; i < out.length; i++) {
+    const pos = (i * sampleRate) / WORK_RATE;
+    const k = Math.floor(pos);
+    out[i] = mono[k] + (pos - k) * ((mono[k + 1] ?? mono[k]) - mono[k]);
+  }
+  return out;
+}
+
+function createEnvelopeSource(ctx, envelope) {
+  const audioBuf = ctx.createBuffer(1, envelope.length, WORK_RATE); // Mono control signal
+  audioBuf.getChannelData(0).set(envelope);                 // Fill Audio Buffer
+  const src = ctx.createBufferSource();                     // Create Buffer Source Node
+  src.buffer = audioBuf;                                    // Set buffer
+  return src;                                               // Return Buffer Source Node
+}                                                           // Create Buffer Source Node from an envelope
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}                                                           // Drop unset options so defaults apply
+
 // Soft Clipper to prevent harsh distortion at 0dB
-function getSoftClipCurve(sampleRate) {
-  const k = 100;                                            // Steepness
+export function getSoftClipCurve(sampleRate) {
   const size = 65536;                                       // Resolution
   const curve = new Float32Array(size);                     // Create curve
-  const deg = Math.PI / 180;                                // Degree to Radian conversion
   for (let i = 0; i < size; i++) {                          // Fill curve
     const x = (i * 2) / size - 1;                           // Normalize -1 to 1
     // Simple arctan soft clip
@@ -169,7 +573,7 @@ function getSoftClipCurve(sampleRate) {
   return curve;                                             // Return soft clipping curve
 }
 
-function logFrequencies(min, max, count) {                  // Generate logarithmically spaced frequencies
+export function logFrequencies(min, max, count) {                  // Generate logarithmically spaced frequencies
   const freqs = [];                                         // Result array
   const logMin = Math.log(min);
   const logMax = Math.log(max);                             // Logarithmic bounds
@@ -178,4 +582,4 @@ function logFrequencies(min, max, count) {                  // Generate logarith
     freqs.push(Math.exp(logMin + step * i));
   }                                                         // Fill frequencies array
   return freqs;                                             // Return array of logarithmically spaced frequencies
-}                                                           // Generate logarithmically spaced frequencies
\ No newline at end of file
+}                                                           // Generate logarithmically spaced frequencies